@@ -0,0 +1,121 @@
+import { LabelParser } from './LabelParser.js';
+
+/**
+ * Box Matcher
+ * Matches predicted boxes against ground truth boxes by IoU and class
+ * IoU is computed on the boxes' axis-aligned extents; shapes use their bounds
+ */
+export class BoxMatcher {
+    /**
+     * Intersection over union of two boxes
+     * Works on normalized boxes: scaling both axes does not change IoU
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {number} IoU in [0, 1]
+     */
+    static iou(a, b) {
+        // A unit image keeps normalized coordinates as they are
+        const ca = LabelParser.getCorners(a, 1, 1);
+        const cb = LabelParser.getCorners(b, 1, 1);
+
+        const iw = Math.min(ca.x2, cb.x2) - Math.max(ca.x1, cb.x1);
+        const ih = Math.min(ca.y2, cb.y2) - Math.max(ca.y1, cb.y1);
+        if (iw <= 0 || ih <= 0) return 0;
+
+        const inter = iw * ih;
+        const areaA = (ca.x2 - ca.x1) * (ca.y2 - ca.y1);
+        const areaB = (cb.x2 - cb.x1) * (cb.y2 - cb.y1);
+        const union = areaA + areaB - inter;
+        return union > 0 ? inter / union : 0;
+    }
+
+    /**
+     * Greedily match predictions to ground truth, most confident prediction first
+     * A prediction is a true positive when it overlaps an unmatched ground truth
+     * box of the same class with IoU >= the threshold
+     * @param {Array<Object>} gtBoxes - Ground truth boxes (deleted ones are ignored)
+     * @param {Array<Object>} predBoxes - Predicted boxes (confidence defaults to 1)
+     * @param {number} iouThreshold
+     * @returns {{matches: Array<{gt: Object, pred: Object, iou: number}>, falsePositives: Array<Object>,
+     *   falseNegatives: Array<Object>, status: Map<string, string>}} status maps box id -> 'tp', 'fp' or 'fn'
+     */
+    static match(gtBoxes, predBoxes, iouThreshold = 0.5) {
+        const gts = gtBoxes.filter(b => !b.deleted);
+        const preds = [...predBoxes].sort((a, b) => (b.confidence ?? 1) - (a.confidence ?? 1));
+
+        const matched = new Set();
+        const matches = [];
+        const falsePositives = [];
+        const status = new Map();
+
+        for (const pred of preds) {
+            let best = null;
+            let bestIou = iouThreshold;
+            for (const gt of gts) {
+                if (gt.classId !== pred.classId || matched.has(gt.id)) continue;
+                const iou = this.iou(gt, pred);
+                if (iou >= bestIou) {
+                    best = gt;
+                    bestIou = iou;
+                }
+            }
+
+            if (best) {
+                matched.add(best.id);
+                matches.push({ gt: best, pred, iou: bestIou });
+                status.set(best.id, 'tp');
+                status.set(pred.id, 'tp');
+            } else {
+                falsePositives.push(pred);
+                status.set(pred.id, 'fp');
+            }
+        }
+
+        const falseNegatives = gts.filter(gt => !matched.has(gt.id));
+        for (const gt of falseNegatives) {
+            status.set(gt.id, 'fn');
+        }
+
+        return { matches, falsePositives, falseNegatives, status };
+    }
+
+    /**
+     * Find duplicate boxes with per-class non-maximum suppression
+     * Boxes are visited by confidence (labels without one keep their file order);
+     * a box overlapping an already kept box of its class with IoU >= the
+     * threshold is a duplicate of it
+     * @param {Array<Object>} boxes - Boxes of one image (deleted ones are ignored)
+     * @param {number} iouThreshold
+     * @returns {Array<{box: Object, keptBox: Object, iou: number}>} Duplicates to remove
+     */
+    static findDuplicates(boxes, iouThreshold = 0.7) {
+        const ordered = boxes
+            .filter(b => !b.deleted)
+            .sort((a, b) => (b.confidence ?? 1) - (a.confidence ?? 1));
+
+        const keptByClass = new Map();
+        const duplicates = [];
+
+        for (const box of ordered) {
+            const kept = keptByClass.get(box.classId) ?? [];
+            let best = null;
+            let bestIou = iouThreshold;
+            for (const other of kept) {
+                const iou = this.iou(box, other);
+                if (iou >= bestIou) {
+                    best = other;
+                    bestIou = iou;
+                }
+            }
+
+            if (best) {
+                duplicates.push({ box, keptBox: best, iou: bestIou });
+            } else {
+                kept.push(box);
+                keptByClass.set(box.classId, kept);
+            }
+        }
+
+        return duplicates;
+    }
+}
@@ -0,0 +1,123 @@
+// Degrees between the hues of consecutive class ids
+const GOLDEN_ANGLE = 137.508;
+
+/**
+ * Class Registry
+ * Holds the class names of the loaded dataset (from data.yaml or classes.txt)
+ * Falls back to raw class ids when no names are known
+ */
+export class ClassRegistry {
+    constructor() {
+        // Class names, index = class id (may be sparse)
+        this.names = [];
+
+        // Which file the names came from ('data.yaml', 'classes.txt', ...)
+        this.source = null;
+    }
+
+    /**
+     * Replace the known class names
+     * @param {Array<string>} names
+     * @param {string|null} source - File the names were read from
+     */
+    setNames(names, source = null) {
+        this.names = Array.isArray(names) ? [...names] : [];
+        this.source = this.names.length > 0 ? source : null;
+    }
+
+    /**
+     * Check if any class names are known
+     * @returns {boolean}
+     */
+    hasNames() {
+        return this.names.length > 0;
+    }
+
+    /**
+     * Get number of known classes
+     * @returns {number}
+     */
+    get count() {
+        return this.names.length;
+    }
+
+    /**
+     * Check if a class id is in the names list
+     * Every id counts as known when no names are loaded
+     * @param {number} classId
+     * @returns {boolean}
+     */
+    isKnown(classId) {
+        if (!this.hasNames()) return true;
+        return classId >= 0 && classId < this.names.length && this.names[classId] != null;
+    }
+
+    /**
+     * Get the display name of a class
+     * @param {number} classId
+     * @returns {string} Class name, or the raw id if unknown
+     */
+    getName(classId) {
+        const name = this.names[classId];
+        return name != null ? name : String(classId);
+    }
+
+    /**
+     * Get a label with both id and name, e.g. "3: dog"
+     * @param {number} classId
+     * @returns {string}
+     */
+    getLabel(classId) {
+        const name = this.names[classId];
+        return name != null ? `${classId}: ${name}` : String(classId);
+    }
+
+    /**
+     * Get the display color of a class
+     * Hues are spread by the golden angle so neighbouring ids look different,
+     * and depend only on the id so a class keeps its color across sessions
+     * @param {number} classId
+     * @param {number} alpha - Opacity
+     * @returns {string} CSS color
+     */
+    getColor(classId, alpha = 1) {
+        const hue = Math.round((classId * GOLDEN_ANGLE + 200) % 360);
+        return `hsla(${hue}, 75%, 60%, ${alpha})`;
+    }
+
+    /**
+     * Get all known classes as {id, name} pairs
+     * @returns {Array<{id: number, name: string}>}
+     */
+    getAll() {
+        const classes = [];
+        this.names.forEach((name, id) => {
+            if (name != null) classes.push({ id, name });
+        });
+        return classes;
+    }
+
+    /**
+     * Collect class ids used by boxes that are not in the names list
+     * @param {Array<Object>} boxes
+     * @returns {Array<number>} Sorted unique unknown class ids
+     */
+    findUnknownIds(boxes) {
+        if (!this.hasNames()) return [];
+        const unknown = new Set();
+        for (const box of boxes) {
+            if (!box.deleted && !this.isKnown(box.classId)) {
+                unknown.add(box.classId);
+            }
+        }
+        return [...unknown].sort((a, b) => a - b);
+    }
+
+    /**
+     * Forget all class names
+     */
+    clear() {
+        this.names = [];
+        this.source = null;
+    }
+}
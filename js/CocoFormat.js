@@ -0,0 +1,207 @@
+import { LabelParser } from './LabelParser.js';
+
+/**
+ * COCO Format
+ * Converts between COCO instances JSON annotations and the editor's box objects
+ * COCO bboxes are [x, y, width, height] in pixels; categories use their own ids
+ */
+export class CocoFormat {
+    /**
+     * Parse a COCO instances file
+     * @param {string} content - Raw JSON content
+     * @returns {{images: Array, annotations: Array, categories: Array}}
+     * @throws {Error} If the content is not a COCO annotation file
+     */
+    static parse(content) {
+        const data = JSON.parse(content);
+        if (!data || !Array.isArray(data.images) || !Array.isArray(data.annotations)) {
+            throw new Error('Not a COCO annotation file (missing images or annotations)');
+        }
+
+        return {
+            images: data.images,
+            annotations: data.annotations,
+            categories: Array.isArray(data.categories) ? data.categories : []
+        };
+    }
+
+    /**
+     * Map COCO category ids to class ids
+     * Categories whose name is already a known class keep that id, the rest are
+     * appended in category id order
+     * @param {Array} categories - COCO categories
+     * @param {Array<string>} knownNames - Current class names (index = class id)
+     * @returns {{categoryToClass: Map<number, number>, names: Array<string>}}
+     */
+    static mapCategories(categories, knownNames = []) {
+        const names = [...knownNames];
+        const categoryToClass = new Map();
+        const sorted = [...categories].sort((a, b) => a.id - b.id);
+
+        for (const category of sorted) {
+            const name = String(category.name ?? category.id);
+            let classId = names.indexOf(name);
+            if (classId < 0) {
+                classId = names.length;
+                names.push(name);
+            }
+            categoryToClass.set(category.id, classId);
+        }
+
+        return { categoryToClass, names };
+    }
+
+    /**
+     * Convert a COCO annotation to a box object
+     * Annotations with keypoints become pose boxes (bbox plus keypoints), other polygon
+     * segmentations become polygon boxes (their largest part); everything is clipped to
+     * the image. The annotation is kept on the box as `cocoAnnotation`, so an unedited
+     * box can be exported exactly as it was read
+     * @param {Object} annotation - COCO annotation
+     * @param {number} classId
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @returns {Object|null} Box object, or null if the annotation has no usable geometry
+     */
+    static annotationToBox(annotation, classId, imageWidth, imageHeight) {
+        const hasKeypoints = Array.isArray(annotation.keypoints) && annotation.keypoints.length >= 3;
+        const polygon = hasKeypoints ? null : this.getLargestPolygon(annotation.segmentation);
+        if (polygon) {
+            const coords = polygon.map((v, i) => (
+                Math.max(0, Math.min(1, v / (i % 2 === 0 ? imageWidth : imageHeight)))
+            ));
+            return { ...LabelParser.createPolygonBox(classId, coords), cocoAnnotation: annotation };
+        }
+
+        if (!Array.isArray(annotation.bbox) || annotation.bbox.length < 4) return null;
+
+        const [bx, by, bw, bh] = annotation.bbox.map(Number);
+        const x1 = Math.max(0, bx);
+        const y1 = Math.max(0, by);
+        const x2 = Math.min(imageWidth, bx + bw);
+        const y2 = Math.min(imageHeight, by + bh);
+        if (!(x2 > x1 && y2 > y1)) return null;
+
+        const box = {
+            ...LabelParser.toNormalizedCoords(
+                { id: crypto.randomUUID(), classId, x: x1, y: y1, w: x2 - x1, h: y2 - y1, deleted: false, selected: false },
+                imageWidth,
+                imageHeight
+            ),
+            type: 'bbox',
+            lineIndex: null,
+            cocoAnnotation: annotation
+        };
+
+        if (hasKeypoints) {
+            box.keypoints = [];
+            for (let i = 0; i + 2 < annotation.keypoints.length; i += 3) {
+                const v = Number(annotation.keypoints[i + 2]);
+                box.keypoints.push({
+                    x: v === 0 ? 0 : Math.max(0, Math.min(1, annotation.keypoints[i] / imageWidth)),
+                    y: v === 0 ? 0 : Math.max(0, Math.min(1, annotation.keypoints[i + 1] / imageHeight)),
+                    v
+                });
+            }
+            box.kptDims = 3;
+        }
+
+        return box;
+    }
+
+    /**
+     * Check if a box still has the shape of the COCO annotation it was read from
+     * Class changes do not count, the category is written separately
+     * @param {Object} box
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @returns {boolean}
+     */
+    static isUnedited(box, imageWidth, imageHeight) {
+        if (!box.cocoAnnotation) return false;
+        const original = this.annotationToBox(box.cocoAnnotation, box.classId, imageWidth, imageHeight);
+        return !!original && LabelParser.boxesEqual({ ...box, deleted: false }, original);
+    }
+
+    /**
+     * Pick the polygon with the most points from a COCO segmentation
+     * RLE masks (crowd annotations) are not polygons and return null
+     * @param {Array|Object|undefined} segmentation
+     * @returns {Array<number>|null} Flat pixel coordinates
+     */
+    static getLargestPolygon(segmentation) {
+        if (!Array.isArray(segmentation)) return null;
+
+        let best = null;
+        for (const polygon of segmentation) {
+            if (Array.isArray(polygon) && polygon.length >= 6 && (!best || polygon.length > best.length)) {
+                best = polygon;
+            }
+        }
+        return best ? best.map(Number) : null;
+    }
+
+    /**
+     * Convert a box object to a COCO annotation
+     * A box read from a COCO annotation and not edited since is written as that
+     * annotation, keeping all its segmentation parts, RLE masks and other fields
+     * @param {Object} box
+     * @param {number} annotationId
+     * @param {number} imageId
+     * @param {number} categoryId
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @returns {Object} COCO annotation
+     */
+    static boxToAnnotation(box, annotationId, imageId, categoryId, imageWidth, imageHeight) {
+        if (this.isUnedited(box, imageWidth, imageHeight)) {
+            return { ...box.cocoAnnotation, id: annotationId, image_id: imageId, category_id: categoryId };
+        }
+
+        const round = v => Math.round(v * 100) / 100;
+        const rect = LabelParser.toPixelCoords(box, imageWidth, imageHeight);
+
+        const annotation = {
+            id: annotationId,
+            image_id: imageId,
+            category_id: categoryId,
+            bbox: [round(rect.x), round(rect.y), round(rect.w), round(rect.h)],
+            area: round(rect.w * rect.h),
+            iscrowd: box.cocoAnnotation?.iscrowd ?? 0
+        };
+
+        if (box.points) {
+            const pixels = LabelParser.getPixelPoints(box, imageWidth, imageHeight);
+            annotation.segmentation = [pixels.flatMap(p => [round(p.x), round(p.y)])];
+            annotation.area = round(this.polygonArea(pixels));
+        } else {
+            annotation.segmentation = [];
+        }
+
+        if (box.keypoints) {
+            annotation.keypoints = box.keypoints.flatMap(k => {
+                const v = box.kptDims === 3 ? k.v : (LabelParser.isKeypointLabeled(k) ? 2 : 0);
+                return v === 0 ? [0, 0, 0] : [round(k.x * imageWidth), round(k.y * imageHeight), v];
+            });
+            annotation.num_keypoints = box.keypoints
+                .filter(k => LabelParser.isKeypointLabeled(k)).length;
+        }
+
+        return annotation;
+    }
+
+    /**
+     * Area of a polygon (shoelace formula)
+     * @param {Array<{x: number, y: number}>} points
+     * @returns {number}
+     */
+    static polygonArea(points) {
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(sum) / 2;
+    }
+}
@@ -0,0 +1,370 @@
+// Plain scalars that YAML 1.1 reads as booleans or null
+const YAML_1_1_KEYWORD = /^(y|n|yes|no|true|false|on|off|null|~)$/i;
+
+/**
+ * Dataset Config Parser
+ * Reads the class name files that sit next to a YOLO dataset:
+ * Ultralytics data.yaml and darknet classes.txt / obj.names
+ * Only the small YAML subset used by dataset files is supported
+ */
+export class DatasetConfig {
+    /**
+     * Parse an Ultralytics data.yaml file
+     * @param {string} content - Raw file content
+     * @returns {Object} {names, nc, kptShape, flipIdx, skeleton, data}
+     */
+    static parseYaml(content) {
+        const data = this.parseYamlSubset(content);
+
+        let names = null;
+        if (Array.isArray(data.names)) {
+            names = data.names.map(n => String(n));
+        } else if (data.names && typeof data.names === 'object') {
+            names = [];
+            for (const [key, value] of Object.entries(data.names)) {
+                const classId = parseInt(key, 10);
+                if (!isNaN(classId) && classId >= 0) {
+                    names[classId] = String(value);
+                }
+            }
+        }
+
+        const nc = typeof data.nc === 'number' ? data.nc : null;
+        const kptShape = Array.isArray(data.kpt_shape) ? data.kpt_shape.map(Number) : null;
+        const flipIdx = Array.isArray(data.flip_idx) ? data.flip_idx.map(Number) : null;
+
+        // Optional list of [from, to] keypoint pairs used to draw pose skeletons
+        const skeleton = Array.isArray(data.skeleton)
+            ? data.skeleton
+                .filter(pair => Array.isArray(pair) && pair.length >= 2)
+                .map(pair => [Number(pair[0]), Number(pair[1])])
+            : null;
+
+        return { names, nc, kptShape, flipIdx, skeleton, data };
+    }
+
+    /**
+     * Parse a darknet classes.txt / obj.names file (one name per line)
+     * @param {string} content - Raw file content
+     * @returns {Array<string>} Class names, index = class id
+     */
+    static parseNamesFile(content) {
+        if (!content) return [];
+        return content
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    /**
+     * Replace the class names of a data.yaml, keeping the rest of the file as it is
+     * The names keep their style (flow list, block list or id map) unless ids
+     * have gaps, which only a map can hold; a top-level nc is updated too
+     * @param {string} content - Original data.yaml content
+     * @param {Array<string>} names - Class names, index = class id (may be sparse)
+     * @returns {string} New content
+     */
+    static updateYamlNames(content, names) {
+        const eol = content.includes('\r\n') ? '\r\n' : '\n';
+        const lines = content ? content.split(/\r?\n/) : [];
+        const trailingEol = lines.length > 0 && lines[lines.length - 1] === '';
+        if (trailingEol) lines.pop();
+
+        const topLevelKey = (line) => {
+            const text = this.stripComment(line).replace(/\s+$/, '');
+            if (!text || /^\s/.test(text)) return null;
+            const sep = this.findMappingColon(text);
+            return sep < 0 ? null : { key: String(this.parseScalar(text.substring(0, sep))), value: text.substring(sep + 1).trim() };
+        };
+
+        const start = lines.findIndex(line => topLevelKey(line)?.key === 'names');
+        // Array.from turns holes into undefined so they are seen
+        const sparse = Array.from(names).some(n => n == null);
+
+        if (start < 0) {
+            lines.push(...this.formatYamlNames(names, 'map', '  '));
+        } else {
+            // The block runs until the last indented line before the next top-level key
+            let end = start + 1;
+            for (let i = start + 1; i < lines.length; i++) {
+                const text = this.stripComment(lines[i]).trim();
+                if (!text) continue;
+                // Block list items may sit at the key's own indentation
+                if (!/^\s/.test(lines[i]) && !/^-(\s|$)/.test(lines[i])) break;
+                end = i + 1;
+            }
+
+            const value = topLevelKey(lines[start]).value;
+            const firstItem = lines.slice(start + 1, end).find(line => this.stripComment(line).trim());
+            const indent = firstItem ? firstItem.match(/^\s*/)[0] : '  ';
+            let style = 'map';
+            if (value.startsWith('[')) {
+                style = 'flow';
+            } else if (!value && firstItem && /^-(\s|$)/.test(firstItem.trim())) {
+                style = 'list';
+            }
+            if (sparse) style = 'map';
+
+            lines.splice(start, end - start, ...this.formatYamlNames(names, style, indent));
+        }
+
+        const nc = lines.findIndex(line => topLevelKey(line)?.key === 'nc');
+        if (nc >= 0) {
+            // Only the value is replaced, so a comment after it stays
+            const text = this.stripComment(lines[nc]).replace(/\s+$/, '');
+            const sep = this.findMappingColon(text);
+            lines[nc] = `${text.substring(0, sep + 1)} ${names.length}${lines[nc].substring(text.length)}`;
+        }
+
+        return lines.join(eol) + (trailingEol || lines.length > 0 ? eol : '');
+    }
+
+    /**
+     * Write the names key of a data.yaml
+     * @param {Array<string>} names - Class names, index = class id (may be sparse)
+     * @param {'map'|'list'|'flow'} style
+     * @param {string} indent - Indentation of block items
+     * @returns {Array<string>} Lines
+     */
+    static formatYamlNames(names, style, indent) {
+        const present = [];
+        names.forEach((name, id) => {
+            if (name != null) present.push({ id, name: this.formatScalar(String(name)) });
+        });
+
+        if (style === 'flow') {
+            return [`names: [${present.map(p => p.name).join(', ')}]`];
+        }
+        if (style === 'list') {
+            return ['names:', ...present.map(p => `${indent}- ${p.name}`)];
+        }
+        return ['names:', ...present.map(p => `${indent || '  '}${p.id}: ${p.name}`)];
+    }
+
+    /**
+     * Quote a string for YAML when it would not read back as the same string
+     * Words that YAML 1.1 readers (PyYAML, used by Ultralytics) take for booleans or
+     * null are quoted too
+     * @param {string} text
+     * @returns {string}
+     */
+    static formatScalar(text) {
+        const plain = text === text.trim() &&
+            !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+            !/[:#,[\]{}]/.test(text) &&
+            !YAML_1_1_KEYWORD.test(text) &&
+            typeof this.parseScalar(text) === 'string';
+        return plain ? text : `'${text.replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Write a classes.txt / obj.names file
+     * Gaps in the ids are filled with the id itself so later names keep their line
+     * @param {Array<string>} names - Class names, index = class id (may be sparse)
+     * @param {string} eol - Line ending
+     * @returns {string}
+     */
+    static serializeNamesFile(names, eol = '\n') {
+        const lines = Array.from(names, (name, id) => (name != null ? String(name) : String(id)));
+        return lines.length > 0 ? lines.join(eol) + eol : '';
+    }
+
+    /**
+     * Parse the top-level keys of a simple YAML document
+     * Supports scalars, flow lists/maps and one level of block lists/maps
+     * @param {string} content - Raw YAML content
+     * @returns {Object} Map of top-level key -> value
+     */
+    static parseYamlSubset(content) {
+        const data = {};
+        if (!content) return data;
+
+        let currentKey = null;
+        let inBlockScalar = false;
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = this.stripComment(rawLine).replace(/\s+$/, '');
+            if (!line.trim()) continue;
+
+            const indent = line.length - line.trimStart().length;
+            const text = line.trim();
+
+            if (indent === 0) {
+                inBlockScalar = false;
+                const sep = this.findMappingColon(text);
+                if (sep < 0) {
+                    currentKey = null;
+                    continue;
+                }
+                currentKey = String(this.parseScalar(text.substring(0, sep)));
+                const value = text.substring(sep + 1).trim();
+                if (value === '|' || value === '>' || value.startsWith('|') || value.startsWith('>')) {
+                    // Multi-line strings (e.g. download scripts) are skipped
+                    inBlockScalar = true;
+                    data[currentKey] = null;
+                } else {
+                    data[currentKey] = value === '' ? null : this.parseValue(value);
+                }
+                continue;
+            }
+
+            if (currentKey === null || inBlockScalar) continue;
+
+            if (text === '-' || text.startsWith('- ')) {
+                if (!Array.isArray(data[currentKey])) {
+                    data[currentKey] = [];
+                }
+                data[currentKey].push(this.parseValue(text.substring(1).trim()));
+                continue;
+            }
+
+            const sep = this.findMappingColon(text);
+            if (sep < 0) continue;
+            if (!data[currentKey] || typeof data[currentKey] !== 'object' || Array.isArray(data[currentKey])) {
+                data[currentKey] = {};
+            }
+            const key = String(this.parseScalar(text.substring(0, sep)));
+            data[currentKey][key] = this.parseValue(text.substring(sep + 1).trim());
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse an inline value: flow list, flow map or scalar
+     * @param {string} text
+     * @returns {*}
+     */
+    static parseValue(text) {
+        if (text.startsWith('[') && text.endsWith(']')) {
+            const inner = text.substring(1, text.length - 1).trim();
+            if (!inner) return [];
+            return this.splitFlow(inner).map(part => this.parseScalar(part));
+        }
+
+        if (text.startsWith('{') && text.endsWith('}')) {
+            const result = {};
+            const inner = text.substring(1, text.length - 1).trim();
+            if (!inner) return result;
+            for (const part of this.splitFlow(inner)) {
+                const sep = this.findMappingColon(part);
+                if (sep < 0) continue;
+                const key = String(this.parseScalar(part.substring(0, sep)));
+                result[key] = this.parseScalar(part.substring(sep + 1));
+            }
+            return result;
+        }
+
+        return this.parseScalar(text);
+    }
+
+    /**
+     * Parse a single scalar (quoted string, number, bool, null or plain string)
+     * @param {string} text
+     * @returns {string|number|boolean|null}
+     */
+    static parseScalar(text) {
+        const value = text.trim();
+
+        if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+            return value.substring(1, value.length - 1).replace(/''/g, "'");
+        }
+        if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+            return value.substring(1, value.length - 1).replace(/\\(["\\])/g, '$1');
+        }
+
+        if (value === '' || value === '~' || value === 'null') return null;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+            return Number(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Split the inside of a flow collection on commas outside quotes/brackets
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static splitFlow(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (this.isQuoteStart(text, i)) {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                parts.push(text.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        const last = text.substring(start).trim();
+        if (last) parts.push(last);
+        return parts;
+    }
+
+    /**
+     * Find the colon separating a mapping key from its value
+     * @param {string} text
+     * @returns {number} Index of the colon or -1
+     */
+    static findMappingColon(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (this.isQuoteStart(text, i)) {
+                quote = ch;
+            } else if (ch === ':' && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Check if the character at i opens a quoted scalar
+     * Apostrophes inside plain words (e.g. driver's) do not count
+     * @param {string} text
+     * @param {number} i
+     * @returns {boolean}
+     */
+    static isQuoteStart(text, i) {
+        const ch = text[i];
+        if (ch !== '"' && ch !== "'") return false;
+        return i === 0 || /[\s[{,:]/.test(text[i - 1]);
+    }
+
+    /**
+     * Remove a trailing # comment that is not inside quotes
+     * @param {string} line
+     * @returns {string}
+     */
+    static stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (this.isQuoteStart(line, i)) {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.substring(0, i);
+            }
+        }
+        return line;
+    }
+}
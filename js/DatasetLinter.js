@@ -0,0 +1,118 @@
+import { LabelParser } from './LabelParser.js';
+import { BoxMatcher } from './BoxMatcher.js';
+import { CocoFormat } from './CocoFormat.js';
+
+// Float noise from center/size conversion is not a spill
+const EDGE_TOLERANCE = 1e-6;
+
+/**
+ * Dataset Linter
+ * Checks the labels of an image for problems that parse fine but are
+ * probably mistakes: tiny boxes, boxes spilling out of the image,
+ * duplicates, unknown class ids and missing or empty label files
+ */
+export class DatasetLinter {
+    /**
+     * Lint the labels of one image
+     * @param {Array<Object>} boxes - Label boxes (deleted ones are ignored)
+     * @param {Object} context
+     * @param {boolean} context.hasLabel - Whether the image has a label file
+     * @param {number} context.rejectedCount - Lines of the label file the parser rejected
+     * @param {{width: number, height: number}|null} context.size - Image size; pixel checks are skipped without it
+     * @param {function(number): boolean} context.isKnownClass
+     * @param {Object} options
+     * @param {number} options.minSize - Smallest allowed box side in pixels
+     * @param {number} options.duplicateIou - IoU at which two boxes of a class are near duplicates
+     * @returns {Array<{type: string, message: string, boxId: string|null}>}
+     *   type: 'no-label', 'empty-label', 'tiny', 'outside', 'duplicate' or 'unknown-class'
+     */
+    static lintImage(boxes, context, { minSize = 2, duplicateIou = 0.9 } = {}) {
+        const issues = [];
+        const live = boxes.filter(b => !b.deleted);
+
+        if (!context.hasLabel && live.length === 0) {
+            return [{ type: 'no-label', message: 'Image has no label file', boxId: null }];
+        }
+        if (context.hasLabel && live.length === 0 && context.rejectedCount === 0) {
+            return [{ type: 'empty-label', message: 'Label file is empty', boxId: null }];
+        }
+
+        live.forEach((box, i) => {
+            const add = (type, message) => issues.push({ type, message: `Box ${i + 1}: ${message}`, boxId: box.id });
+
+            if (!context.isKnownClass(box.classId)) {
+                add('unknown-class', `class id ${box.classId} is not in the class list`);
+            }
+
+            const tiny = context.size && this.getTinyReason(box, context.size, minSize);
+            if (tiny) add('tiny', tiny);
+
+            if (this.isOutsideImage(box)) {
+                add('outside', 'extends outside the image');
+            }
+        });
+
+        // Report each duplicate once, on the later box
+        for (let i = 1; i < live.length; i++) {
+            for (let j = 0; j < i; j++) {
+                const a = live[j];
+                const b = live[i];
+                if (a.classId !== b.classId) continue;
+
+                const exact = a.type === b.type && LabelParser.boxesEqual(a, b);
+                const iou = exact ? 1 : BoxMatcher.iou(a, b);
+                if (exact || iou >= duplicateIou) {
+                    issues.push({
+                        type: 'duplicate',
+                        message: exact
+                            ? `Box ${i + 1}: exact duplicate of box ${j + 1}`
+                            : `Box ${i + 1}: near duplicate of box ${j + 1} (IoU ${iou.toFixed(2)})`,
+                        boxId: b.id
+                    });
+                    break;
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Describe why a box is too small, if it is
+     * @param {Object} box
+     * @param {{width: number, height: number}} size - Image size in pixels
+     * @param {number} minSize - Smallest allowed side in pixels
+     * @returns {string|null}
+     */
+    static getTinyReason(box, size, minSize) {
+        const corners = LabelParser.getCorners(box, size.width, size.height);
+        const w = corners.x2 - corners.x1;
+        const h = corners.y2 - corners.y1;
+
+        const area = box.points
+            ? CocoFormat.polygonArea(LabelParser.getPixelPoints(box, size.width, size.height))
+            : w * h;
+        if (area <= 0) return 'has zero area';
+
+        if (w < minSize || h < minSize) {
+            return `is ${w.toFixed(1)}x${h.toFixed(1)} px (under ${minSize} px)`;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a box reaches past the image edges
+     * Centers are validated by the parser but a box's extent is not
+     * @param {Object} box
+     * @returns {boolean}
+     */
+    static isOutsideImage(box) {
+        const corners = LabelParser.getCorners(box, 1, 1);
+        return (
+            corners.x1 < -EDGE_TOLERANCE ||
+            corners.y1 < -EDGE_TOLERANCE ||
+            corners.x2 > 1 + EDGE_TOLERANCE ||
+            corners.y2 > 1 + EDGE_TOLERANCE
+        );
+    }
+}
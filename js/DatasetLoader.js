@@ -1,5 +1,9 @@
 import { LRUCache } from './LRUCache.js';
 import { LabelParser } from './LabelParser.js';
+import { ClassRegistry } from './ClassRegistry.js';
+import { DatasetConfig } from './DatasetConfig.js';
+import { CocoFormat } from './CocoFormat.js';
+import { VocFormat } from './VocFormat.js';
 
 /**
  * Dataset Loader
@@ -19,6 +23,33 @@ export class DatasetLoader {
         // Label cache (keep more since they're small)
         this.labelCache = new Map();
 
+        // Raw label file content, per image index (saves are written as edits of it)
+        this.contentCache = new Map();
+
+        // Lines the parser rejected, per image index
+        this.diagnosticsCache = new Map();
+
+        // Class names from data.yaml / classes.txt
+        this.classes = new ClassRegistry();
+
+        // Parsed data.yaml (null if none was found)
+        this.datasetConfig = null;
+
+        // COCO annotations found with the dataset (null if none)
+        // {source, imagesByName, annotationsByImage, categoryToClass, classToCategory,
+        //  maxImageId, maxAnnotationId}; imagesByName: Map<file name, Array<{id, path, width, height}>>
+        this.coco = null;
+
+        // Model predictions shown next to the labels (null if none loaded)
+        // {source, files: Map<labelKey, FileSystemFileHandle|File>}; each entry's
+        // predictionFile and predictionIssue are set from it
+        this.predictions = null;
+        // {boxes, diagnostics} per image index
+        this.predictionCache = new Map();
+
+        // How edits to Pascal VOC labels are written: 'voc' (back to the .xml) or 'yolo' (.txt)
+        this.vocSaveFormat = 'voc';
+
         // Drop mode data (for drag-and-drop fallback)
         this.dropModeImages = null;
         this.dropModeLabels = null;
@@ -36,24 +67,40 @@ export class DatasetLoader {
         this.clear();
 
         try {
+            await this.loadConfigFiles();
+
             const images = await this.fileManager.scanImages();
-            const labels = await this.fileManager.scanLabels();
+            const labels = await this.fileManager.scanLabels(images);
 
             // Build index pairing images with labels
-            for (const image of images) {
+            const pairs = this.pairLabels(images, labels);
+            const cocoImages = this.pairCocoImages(images);
+            images.forEach((image, i) => {
                 const baseName = this.fileManager.getBaseName(image.name);
-                const labelHandle = labels.get(baseName);
+                const labelHandle = pairs[i].label;
+                const cocoImage = cocoImages[i];
 
                 this.index.push({
                     name: image.name,
                     baseName: baseName,
+                    split: image.split,
+                    folder: image.folder,
+                    pairingIssue: pairs[i].issue,
                     imageHandle: image.handle,
                     labelHandle: labelHandle || null,
-                    hasLabel: !!labelHandle,
+                    labelFormat: this.getEntryLabelFormat(labelHandle, cocoImage),
+                    cocoImage,
+                    hasLabel: !!labelHandle || !!cocoImage,
+                    labelLastModified: null,  // Set when the label file is read
                     modified: false,
-                    boxCount: null  // Will be loaded on demand
+                    boxCount: null,  // Will be loaded on demand
+                    issueCount: null,
+                    predictionFile: null,  // Set by setPredictions
+                    predictionIssue: null
                 });
-            }
+            });
+
+            await this.loadVocClassNames();
 
             return this.index.length;
         } finally {
@@ -61,6 +108,32 @@ export class DatasetLoader {
         }
     }
 
+    /**
+     * Check whether the dataset came from a folder that can be scanned again
+     * @returns {boolean}
+     */
+    canReload() {
+        return this.index.length > 0 && this.dropModeImages === null && !!this.fileManager.rootHandle;
+    }
+
+    /**
+     * Scan the open folder again, picking up files, splits and config files
+     * added or removed since it was loaded
+     * A loaded prediction layer is kept
+     * @returns {Promise<number>} Number of images loaded
+     */
+    async reloadDataset() {
+        const predictions = this.predictions;
+
+        await this.fileManager.findSubfolders();
+        const count = await this.loadDataset();
+
+        if (predictions) {
+            this.setPredictions(predictions.source, predictions.files);
+        }
+        return count;
+    }
+
     /**
      * Load a dataset from dropped files (fallback mode)
      * @param {Object} dropData - {images: Array, labels: Map}
@@ -71,27 +144,43 @@ export class DatasetLoader {
         this.clear();
 
         try {
+            await this.loadConfigFiles();
+
             this.dropModeImages = new Map();
             this.dropModeLabels = dropData.labels;
 
-            for (const image of dropData.images) {
+            const pairs = this.pairLabels(dropData.images, dropData.labels);
+            const cocoImages = this.pairCocoImages(dropData.images);
+            dropData.images.forEach((image, i) => {
                 const baseName = this.fileManager.getBaseName(image.name);
-                const labelFile = dropData.labels.get(baseName);
+                const labelFile = pairs[i].label;
+                const cocoImage = cocoImages[i];
 
                 this.dropModeImages.set(image.name, image.file);
 
                 this.index.push({
                     name: image.name,
                     baseName: baseName,
+                    split: image.split,
+                    folder: image.folder,
+                    pairingIssue: pairs[i].issue,
                     imageHandle: null,
                     labelHandle: null,
                     imageFile: image.file,
                     labelFile: labelFile || null,
-                    hasLabel: !!labelFile,
+                    labelFormat: this.getEntryLabelFormat(labelFile, cocoImage),
+                    cocoImage,
+                    hasLabel: !!labelFile || !!cocoImage,
+                    labelLastModified: null,
                     modified: false,
-                    boxCount: null
+                    boxCount: null,
+                    issueCount: null,
+                    predictionFile: null,
+                    predictionIssue: null
                 });
-            }
+            });
+
+            await this.loadVocClassNames();
 
             return this.index.length;
         } finally {
@@ -99,6 +188,530 @@ export class DatasetLoader {
         }
     }
 
+    /**
+     * Pair scanned images with their label files by relative path
+     * A label at the image's own path wins, then one at the same path in a shared
+     * labels folder; failing both, a label with the same basename elsewhere is
+     * used only if it is the only one (labels of other splits, and labels at another
+     * image's own path, never count)
+     * Images with an issue are left without a label, so saving them cannot overwrite
+     * a label file that belongs to another image
+     * @param {Array<{name: string, split: string|null, folder: string}>} images
+     * @param {Map<string, FileSystemFileHandle|File>} labels - Label key -> file, from the file manager
+     * @returns {Array<{label: FileSystemFileHandle|File|null, issue: string|null}>} Per image;
+     *   issue: 'ambiguous' (several labels could match) or 'shared' (another image matches the same label)
+     */
+    pairLabels(images, labels) {
+        const splits = new Set(images.map(image => image.split).filter(split => split !== null));
+
+        const keysByBaseName = new Map();
+        for (const key of labels.keys()) {
+            const baseName = key.split('/').pop();
+            if (!keysByBaseName.has(baseName)) keysByBaseName.set(baseName, []);
+            keysByBaseName.get(baseName).push(key);
+        }
+
+        const getOwnKeys = (image) => {
+            const baseName = this.fileManager.getBaseName(image.name);
+            return [
+                this.fileManager.getLabelKey(image.split, image.folder, baseName),
+                this.fileManager.getLabelKey(null, image.folder, baseName)
+            ];
+        };
+        const ownKeysOfAll = new Set(images.flatMap(getOwnKeys));
+
+        const pairs = images.map((image) => {
+            const ownKeys = getOwnKeys(image);
+            for (const key of ownKeys) {
+                if (labels.has(key)) return { label: labels.get(key), key, issue: null };
+            }
+
+            const baseName = this.fileManager.getBaseName(image.name);
+            const candidates = (keysByBaseName.get(baseName) ?? []).filter((key) => {
+                const top = key.split('/')[0];
+                return !ownKeysOfAll.has(key) && (!splits.has(top) || top === image.split);
+            });
+            if (candidates.length === 1) {
+                return { label: labels.get(candidates[0]), key: candidates[0], issue: null };
+            }
+            return { label: null, key: null, issue: candidates.length > 1 ? 'ambiguous' : null };
+        });
+
+        // Images that differ only in extension (a.jpg, a.png) end up with one label file
+        const usage = new Map();
+        for (const pair of pairs) {
+            if (pair.key !== null) usage.set(pair.key, (usage.get(pair.key) || 0) + 1);
+        }
+        return pairs.map(({ label, key, issue }) => (
+            key !== null && usage.get(key) > 1 ? { label: null, issue: 'shared' } : { label, issue }
+        ));
+    }
+
+    /**
+     * Count the images whose label pairing needs a look
+     * @returns {number}
+     */
+    getPairingIssueCount() {
+        return this.index.filter(e => e.pairingIssue).length;
+    }
+
+    /**
+     * Get the splits of the dataset in index order
+     * @returns {Array<string>} Split names; empty when the dataset has no splits
+     */
+    getSplits() {
+        const splits = new Set();
+        for (const entry of this.index) {
+            if (entry.split !== null) splits.add(entry.split);
+        }
+        return [...splits];
+    }
+
+    /**
+     * Get the indices of the images in a split
+     * @param {string|null} split - null for all images
+     * @returns {Array<number>}
+     */
+    getSplitIndices(split) {
+        const indices = [];
+        this.index.forEach((entry, index) => {
+            if (split === null || entry.split === split) indices.push(index);
+        });
+        return indices;
+    }
+
+    /**
+     * Move an image and its label file to another split
+     * The entry keeps its index, so cached images, labels and edits stay valid
+     * @param {number} index
+     * @param {string} split
+     * @returns {Promise<void>}
+     * @throws {Error} If the files cannot be moved
+     */
+    async moveToSplit(index, split) {
+        const entry = this.index[index];
+        if (!entry.imageHandle) {
+            throw new Error('Dropped folders are read-only');
+        }
+        if (entry.split === split) return;
+
+        const moved = await this.fileManager.moveToSplit(
+            entry.imageHandle, entry.labelHandle, entry.split, split, entry.folder
+        );
+        entry.imageHandle = moved.imageHandle;
+        entry.labelHandle = moved.labelHandle;
+        entry.split = split;
+        await this.noteLabelWritten(entry);
+    }
+
+    /**
+     * Load class names and COCO annotations from the config files found by the file manager
+     */
+    async loadConfigFiles() {
+        const { yaml, names, coco } = await this.fileManager.readConfigFiles();
+        this.loadClassNames(yaml, names);
+        if (coco) {
+            this.loadCoco(coco, this.fileManager.configFiles.coco?.name ?? 'COCO JSON');
+        }
+    }
+
+    /**
+     * Load class names from data.yaml / classes.txt content
+     * data.yaml names take precedence over classes.txt / obj.names
+     * @param {string|null} yaml
+     * @param {string|null} names
+     */
+    loadClassNames(yaml, names) {
+        if (yaml) {
+            this.datasetConfig = DatasetConfig.parseYaml(yaml);
+            if (this.datasetConfig.names) {
+                this.classes.setNames(this.datasetConfig.names, 'data.yaml');
+                return;
+            }
+        }
+
+        if (names) {
+            this.classes.setNames(DatasetConfig.parseNamesFile(names), 'classes.txt');
+        }
+    }
+
+    /**
+     * Replace the class names and write them to the dataset's config files
+     * data.yaml and classes.txt are updated when present and classes.txt is
+     * created when there is neither; read-only datasets download them instead
+     * @param {Array<string>} names - Class names, index = class id
+     * @returns {Promise<Array<string>|null>} Names of the files written, or null if writing failed
+     */
+    async saveClassNames(names) {
+        const current = await this.fileManager.readConfigFiles();
+        const configFiles = this.fileManager.configFiles;
+        const files = [];
+
+        if (current.yaml !== null) {
+            files.push({
+                type: 'yaml',
+                name: configFiles.yaml.name,
+                content: DatasetConfig.updateYamlNames(current.yaml, names)
+            });
+        }
+        if (current.names !== null || current.yaml === null) {
+            const eol = current.names?.includes('\r\n') ? '\r\n' : '\n';
+            files.push({
+                type: 'names',
+                name: configFiles.names?.name ?? 'classes.txt',
+                content: DatasetConfig.serializeNamesFile(names, eol)
+            });
+        }
+
+        for (const file of files) {
+            if (this.fileManager.isReadOnly) {
+                this.fileManager.downloadFile(file.name, file.content);
+            } else if (!await this.fileManager.saveConfigFile(file.type, file.content)) {
+                return null;
+            }
+        }
+
+        const yaml = files.find(f => f.type === 'yaml');
+        if (yaml) {
+            this.datasetConfig = DatasetConfig.parseYaml(yaml.content);
+        }
+        this.classes.setNames(names, yaml ? 'data.yaml' : 'classes.txt');
+        return files.map(f => f.name);
+    }
+
+    /**
+     * Rename a class in the Pascal VOC files that use it
+     * VOC files name their classes, so without this they would no longer match the
+     * class names on the next load. Files changed on disk since they were loaded are left alone
+     * @param {string} oldName
+     * @param {string} newName
+     * @returns {Promise<{renamed: number, failed: Array<string>}>} failed: names of files not rewritten
+     */
+    async renameVocClass(oldName, newName) {
+        const result = { renamed: 0, failed: [] };
+        if (this.fileManager.isReadOnly) return result;
+
+        for (let index = 0; index < this.index.length; index++) {
+            const entry = this.index[index];
+            if (entry.labelFormat !== 'voc' || !entry.labelHandle) continue;
+
+            const loaded = this.contentCache.has(index);
+            if (loaded && await this.getExternalChange(index)) {
+                result.failed.push(entry.labelHandle.name);
+                continue;
+            }
+            const content = loaded
+                ? this.contentCache.get(index)
+                : (await this.fileManager.readLabelFile(entry.labelHandle)).content;
+
+            const renamed = VocFormat.renameObjects(content, oldName, newName);
+            if (renamed === null) continue;
+            if (!await this.fileManager.saveLabel(entry.labelHandle, renamed)) {
+                result.failed.push(entry.labelHandle.name);
+                continue;
+            }
+            if (loaded) this.contentCache.set(index, renamed);
+            await this.noteLabelWritten(entry);
+            result.renamed++;
+        }
+        return result;
+    }
+
+    /**
+     * Index a COCO annotation file so images without a YOLO label file can use it
+     * Categories are mapped onto the known class names, adding any that are missing
+     * @param {string} content - Raw JSON content
+     * @param {string} source - File name (for messages)
+     * @returns {boolean} True if the file was a usable COCO file
+     */
+    loadCoco(content, source) {
+        let data;
+        try {
+            data = CocoFormat.parse(content);
+        } catch (e) {
+            console.error(`Ignoring ${source}:`, e);
+            return false;
+        }
+
+        const imagesByName = new Map();
+        for (const image of data.images) {
+            if (image.file_name == null) continue;
+            // COCO file names may carry a folder prefix (e.g. train2017/000001.jpg)
+            const path = String(image.file_name).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+            const name = path.split('/').pop();
+            if (!imagesByName.has(name)) imagesByName.set(name, []);
+            imagesByName.get(name).push({ id: image.id, path, width: image.width, height: image.height });
+        }
+
+        const annotationsByImage = new Map();
+        for (const annotation of data.annotations) {
+            if (!annotationsByImage.has(annotation.image_id)) {
+                annotationsByImage.set(annotation.image_id, []);
+            }
+            annotationsByImage.get(annotation.image_id).push(annotation);
+        }
+
+        const { categoryToClass, names } = CocoFormat.mapCategories(data.categories, this.classes.names);
+        const classToCategory = new Map();
+        for (const [categoryId, classId] of categoryToClass) {
+            if (!classToCategory.has(classId)) classToCategory.set(classId, categoryId);
+        }
+        if (names.length > this.classes.count) {
+            this.classes.setNames(names, this.classes.source ?? source);
+        }
+
+        // Images and annotations added on export get ids above these
+        const maxId = items => items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+
+        this.coco = {
+            source,
+            imagesByName,
+            annotationsByImage,
+            categoryToClass,
+            classToCategory,
+            maxImageId: maxId(data.images),
+            maxAnnotationId: maxId(data.annotations)
+        };
+        return true;
+    }
+
+    /**
+     * Work out where an entry's labels come from
+     * @param {FileSystemFileHandle|File|undefined} labelSource - Label file, if any
+     * @param {Object|null} cocoImage
+     * @returns {'yolo'|'voc'|'coco'|null}
+     */
+    getEntryLabelFormat(labelSource, cocoImage) {
+        if (labelSource) return this.fileManager.getLabelType(labelSource.name);
+        return cocoImage ? 'coco' : null;
+    }
+
+    /**
+     * Check if any image has Pascal VOC labels
+     * @returns {boolean}
+     */
+    hasVocLabels() {
+        return this.index.some(e => e.labelFormat === 'voc');
+    }
+
+    /**
+     * Collect the class names used in all VOC files and add the unknown ones
+     * VOC labels classes by name, so ids have to be fixed before any file is opened;
+     * new names are appended in alphabetical order to keep ids stable between sessions
+     */
+    async loadVocClassNames() {
+        const found = new Set();
+
+        for (const entry of this.index) {
+            if (entry.labelFormat !== 'voc') continue;
+            try {
+                const content = await this.readLabelContent(entry);
+                for (const object of VocFormat.parse(content).objects) {
+                    found.add(object.name);
+                }
+            } catch (e) {
+                console.error(`Error reading VOC annotation for ${entry.name}:`, e);
+            }
+        }
+
+        const names = [...this.classes.names];
+        const added = [...found].filter(name => !names.includes(name)).sort();
+        if (added.length > 0) {
+            this.classes.setNames([...names, ...added], this.classes.source ?? 'VOC annotations');
+        }
+    }
+
+    /**
+     * Get the class id for a VOC class name, adding the name if it is new
+     * @param {string} name
+     * @returns {number}
+     */
+    getClassIdForName(name) {
+        const classId = this.classes.names.indexOf(name);
+        if (classId >= 0) return classId;
+
+        this.classes.setNames([...this.classes.names, name], this.classes.source ?? 'VOC annotations');
+        return this.classes.count - 1;
+    }
+
+    /**
+     * Path of an image within the dataset: split, nested folder and file name
+     * @param {{name: string, split: string|null, folder: string}} image
+     * @returns {string}
+     */
+    getImagePath(image) {
+        return [image.split, image.folder, image.name].filter(Boolean).join('/');
+    }
+
+    /**
+     * Pair scanned images with the image records of the COCO file by path
+     * A record matches an image when one path ends with the other, since COCO files may
+     * name images with or without their split and folder; an exact match wins
+     * (records at another image's exact path never count); images matching several records,
+     * and records matched by several images, stay unpaired
+     * @param {Array<{name: string, split: string|null, folder: string}>} images
+     * @returns {Array<Object|null>} Per image: {id, path, width, height}, or null
+     */
+    pairCocoImages(images) {
+        if (!this.coco) return images.map(() => null);
+
+        const paths = new Set(images.map(image => this.getImagePath(image)));
+        const matches = images.map((image) => {
+            const path = this.getImagePath(image);
+            const records = this.coco.imagesByName.get(image.name) ?? [];
+            const exact = records.find(record => record.path === path);
+            if (exact) return exact;
+
+            const candidates = records.filter(record => !paths.has(record.path) &&
+                (path.endsWith(`/${record.path}`) || record.path.endsWith(`/${path}`)));
+            return candidates.length === 1 ? candidates[0] : null;
+        });
+
+        const usage = new Map();
+        for (const record of matches) {
+            if (record) usage.set(record, (usage.get(record) || 0) + 1);
+        }
+        return matches.map(record => (record && usage.get(record) === 1 ? record : null));
+    }
+
+    /**
+     * Get an image's size, from COCO metadata when available, otherwise by loading it
+     * @param {number} index
+     * @returns {Promise<{width: number, height: number}|null>}
+     */
+    async getImageSize(index) {
+        const entry = this.index[index];
+        if (entry?.imageSize) return entry.imageSize;
+
+        const cocoImage = entry?.cocoImage;
+        if (cocoImage?.width > 0 && cocoImage?.height > 0) {
+            return { width: cocoImage.width, height: cocoImage.height };
+        }
+
+        const bitmap = await this.loadImage(index);
+        return bitmap ? { width: bitmap.width, height: bitmap.height } : null;
+    }
+
+    /**
+     * Convert the COCO annotations of an image into boxes
+     * @param {number} index
+     * @returns {Promise<Array>}
+     */
+    async loadCocoBoxes(index) {
+        const entry = this.index[index];
+        const size = await this.getImageSize(index);
+        if (!size) return [];
+
+        const boxes = [];
+        for (const annotation of this.coco.annotationsByImage.get(entry.cocoImage.id) || []) {
+            const classId = this.coco.categoryToClass.get(annotation.category_id) ?? annotation.category_id;
+            const box = CocoFormat.annotationToBox(annotation, classId, size.width, size.height);
+            if (box) boxes.push(box);
+        }
+        return boxes;
+    }
+
+    /**
+     * Export the dataset as a COCO instances JSON document
+     * @param {function(number): (Array|null)} getEditedBoxes - Returns the edited boxes
+     *   of an image, or null to use the labels as loaded
+     * @returns {Promise<{content: string, images: number, annotations: number, skipped: number}>}
+     */
+    async exportCoco(getEditedBoxes) {
+        const images = [];
+        const annotations = [];
+        const usedClasses = new Set();
+        let skipped = 0;
+
+        // Images, annotations and classes missing from an imported COCO file get ids above
+        // all of its own; unedited annotations keep theirs
+        let nextImageId = (this.coco?.maxImageId ?? 0) + 1;
+        let nextAnnotationId = (this.coco?.maxAnnotationId ?? 0) + 1;
+        const usedAnnotationIds = new Set();
+        const imported = this.coco?.classToCategory ?? null;
+        const addedCategories = new Map();
+        let nextCategoryId = imported ? Math.max(0, ...this.coco.categoryToClass.keys()) + 1 : 0;
+        const categoryOf = (classId) => {
+            if (!imported) return classId + 1;
+            if (imported.has(classId)) return imported.get(classId);
+            if (!addedCategories.has(classId)) addedCategories.set(classId, nextCategoryId++);
+            return addedCategories.get(classId);
+        };
+
+        for (let index = 0; index < this.index.length; index++) {
+            const entry = this.index[index];
+            const size = await this.getImageSize(index);
+            if (!size) {
+                skipped++;
+                continue;
+            }
+
+            const imageId = entry.cocoImage?.id ?? nextImageId++;
+            images.push({ id: imageId, file_name: this.getImagePath(entry), width: size.width, height: size.height });
+
+            const boxes = getEditedBoxes(index) ?? await this.loadLabels(index);
+            for (const box of boxes) {
+                if (box.deleted) continue;
+                usedClasses.add(box.classId);
+                // Copies of a box read from the COCO file get a new id
+                const originalId = box.cocoAnnotation?.id;
+                const annotationId = originalId != null && !usedAnnotationIds.has(originalId)
+                    ? originalId
+                    : nextAnnotationId++;
+                usedAnnotationIds.add(annotationId);
+                annotations.push(CocoFormat.boxToAnnotation(
+                    box, annotationId, imageId, categoryOf(box.classId), size.width, size.height
+                ));
+            }
+        }
+
+        const classIds = new Set([...this.classes.getAll().map(c => c.id), ...usedClasses]);
+        const categories = [...classIds]
+            .sort((a, b) => a - b)
+            .map(classId => ({ id: categoryOf(classId), name: this.classes.getName(classId) }));
+
+        return {
+            content: JSON.stringify({ images, annotations, categories }),
+            images: images.length,
+            annotations: annotations.length,
+            skipped
+        };
+    }
+
+    /**
+     * Get the options the label parser needs for this dataset
+     * @returns {Object} {format, kptShape}
+     */
+    getParseOptions() {
+        return {
+            format: this.getLabelFormat(),
+            kptShape: this.datasetConfig?.kptShape ?? undefined
+        };
+    }
+
+    /**
+     * Get the lines the parser rejected for an image
+     * Only known once the image's labels have been loaded
+     * @param {number} index
+     * @returns {Array} Diagnostics from LabelParser.parseWithDiagnostics
+     */
+    getDiagnostics(index) {
+        return this.diagnosticsCache.get(index) || [];
+    }
+
+    /**
+     * Get the label format hint for the parser
+     * Uses an optional `task` key in data.yaml, otherwise lets the parser decide per file
+     * @returns {string} 'auto', 'detect', 'segment', 'obb' or 'pose'
+     */
+    getLabelFormat() {
+        const task = this.datasetConfig?.data?.task;
+        if (task === 'detect' || task === 'segment' || task === 'obb' || task === 'pose') {
+            return task;
+        }
+        return 'auto';
+    }
+
     /**
      * Get the total number of images in the dataset
      * @returns {number}
@@ -124,6 +737,89 @@ export class DatasetLoader {
         return this.index;
     }
 
+    /**
+     * Remove an image and its label file from disk and from the index
+     * @param {number} index
+     * @param {'quarantine'|'delete'} mode - Move them into _removed/ or delete them
+     * @returns {Promise<Object>} Pass to restoreSample() to undo
+     * @throws {Error} If the files cannot be removed
+     */
+    async removeSample(index, mode) {
+        const entry = this.index[index];
+        if (!entry.imageHandle) {
+            throw new Error('Dropped folders are read-only');
+        }
+
+        const handles = [entry.imageHandle, entry.labelHandle].filter(Boolean);
+        const files = await this.fileManager.removeFiles(handles, mode);
+        return { index, files, ...this.removeEntry(index) };
+    }
+
+    /**
+     * Put a removed image and its label file back on disk and in the index
+     * @param {Object} removed - From removeSample()
+     * @returns {Promise<void>}
+     * @throws {Error} If the files cannot be restored
+     */
+    async restoreSample(removed) {
+        const [imageHandle, labelHandle] = await this.fileManager.restoreFiles(removed.files);
+        removed.entry.imageHandle = imageHandle;
+        removed.entry.labelHandle = labelHandle ?? null;
+        await this.noteLabelWritten(removed.entry);
+        this.insertEntry(removed.index, removed);
+    }
+
+    /**
+     * Take an entry out of the index
+     * The cached data of later images moves down one index with them
+     * @param {number} index
+     * @returns {{entry: Object, labels, content, diagnostics}} Pass to insertEntry() to put it back
+     */
+    removeEntry(index) {
+        const removed = {
+            entry: this.index[index],
+            labels: this.labelCache.get(index),
+            content: this.contentCache.get(index),
+            diagnostics: this.diagnosticsCache.get(index)
+        };
+
+        this.index.splice(index, 1);
+        this.imageCache.delete(index);
+        for (const cache of [this.labelCache, this.contentCache, this.diagnosticsCache, this.predictionCache]) {
+            cache.delete(index);
+        }
+        this.shiftCaches(index + 1, -1);
+        return removed;
+    }
+
+    /**
+     * Put an entry taken out by removeEntry() back at an index
+     * @param {number} index
+     * @param {{entry: Object, labels, content, diagnostics}} removed
+     */
+    insertEntry(index, removed) {
+        this.shiftCaches(index, 1);
+        this.index.splice(index, 0, removed.entry);
+        if (removed.labels) this.labelCache.set(index, removed.labels);
+        if (removed.content !== undefined) this.contentCache.set(index, removed.content);
+        if (removed.diagnostics) this.diagnosticsCache.set(index, removed.diagnostics);
+    }
+
+    /**
+     * Move the cached data of the images from an index on by some positions
+     * @param {number} from - First index to move
+     * @param {number} delta - -1 after an entry was removed, 1 before one is inserted
+     */
+    shiftCaches(from, delta) {
+        const shift = key => (key >= from ? key + delta : key);
+        for (const cache of [this.labelCache, this.contentCache, this.diagnosticsCache, this.predictionCache]) {
+            const entries = [...cache].map(([key, value]) => [shift(key), value]);
+            cache.clear();
+            for (const [key, value] of entries) cache.set(key, value);
+        }
+        this.imageCache.rekey(shift);
+    }
+
     /**
      * Load an image by index
      * @param {number} index
@@ -155,8 +851,10 @@ export class DatasetLoader {
                 return null;
             }
 
-            // Cache the bitmap
-            this.imageCache.set(index, bitmap);
+            // Cache the bitmap, unless the entry was removed while it loaded
+            if (this.index[index] === entry) {
+                this.imageCache.set(index, bitmap);
+            }
 
             return bitmap;
         } catch (e) {
@@ -185,28 +883,43 @@ export class DatasetLoader {
         if (!entry.hasLabel) {
             // No label file - return empty array
             this.labelCache.set(index, []);
+            this.contentCache.set(index, '');
+            this.diagnosticsCache.set(index, []);
             entry.boxCount = 0;
+            entry.issueCount = 0;
             return [];
         }
 
         try {
+            if (entry.labelFormat === 'voc') {
+                return LabelParser.cloneBoxes(await this.loadVocLabels(index));
+            }
+
             let content;
 
-            if (entry.labelHandle) {
-                // File System Access API mode
-                content = await this.fileManager.readLabel(entry.labelHandle);
-            } else if (entry.labelFile) {
-                // Drag-and-drop mode
-                content = await this.fileManager.readLabelFromFile(entry.labelFile);
+            if (entry.labelHandle || entry.labelFile) {
+                content = await this.readBaseContent(entry);
+            } else if (entry.cocoImage) {
+                // No YOLO label file yet: use the COCO annotations
+                const boxes = await this.loadCocoBoxes(index);
+                this.labelCache.set(index, boxes);
+                this.contentCache.set(index, '');
+                this.diagnosticsCache.set(index, []);
+                entry.boxCount = boxes.length;
+                entry.issueCount = 0;
+                return LabelParser.cloneBoxes(boxes);
             } else {
                 return [];
             }
 
-            const boxes = LabelParser.parse(content);
+            const { boxes, diagnostics } = LabelParser.parseWithDiagnostics(content, this.getParseOptions());
 
             // Cache the boxes
             this.labelCache.set(index, boxes);
+            this.contentCache.set(index, content);
+            this.diagnosticsCache.set(index, diagnostics);
             entry.boxCount = boxes.length;
+            entry.issueCount = diagnostics.length;
 
             return LabelParser.cloneBoxes(boxes);
         } catch (e) {
@@ -215,35 +928,325 @@ export class DatasetLoader {
         }
     }
 
+    /**
+     * Use a set of prediction files as the prediction layer
+     * Prediction files are paired with images the way label files are (see pairLabels)
+     * @param {string} source - Folder name (for messages)
+     * @param {Map<string, FileSystemFileHandle|File>} files - Label key (see FileManager.getLabelKey) -> file
+     * @returns {{count: number, issues: number}} Images that have predictions, and images left
+     *   without because several prediction files or images match
+     */
+    setPredictions(source, files) {
+        this.predictions = { source, files };
+        this.predictionCache.clear();
+
+        const pairs = this.pairLabels(this.index, files);
+        this.index.forEach((entry, i) => {
+            entry.predictionFile = pairs[i].label;
+            entry.predictionIssue = pairs[i].issue;
+        });
+        return {
+            count: pairs.filter(pair => pair.label).length,
+            issues: pairs.filter(pair => pair.issue).length
+        };
+    }
+
+    /**
+     * Check if a prediction layer is loaded
+     * @returns {boolean}
+     */
+    hasPredictions() {
+        return this.predictions !== null;
+    }
+
+    /**
+     * Load the predicted boxes of an image
+     * The returned boxes are shared with the cache and must not be modified
+     * @param {number} index
+     * @returns {Promise<Array>} Boxes, with `confidence` when the line ends in one
+     */
+    async loadPredictions(index) {
+        const entry = this.index[index];
+        const file = this.predictions && entry?.predictionFile;
+        if (!file) return [];
+
+        if (this.predictionCache.has(index)) {
+            return this.predictionCache.get(index).boxes;
+        }
+
+        try {
+            const content = typeof file.getFile === 'function'
+                ? await this.fileManager.readLabel(file)
+                : await this.fileManager.readLabelFromFile(file);
+            const { boxes, diagnostics } = LabelParser.parseWithDiagnostics(
+                content, { ...this.getParseOptions(), predictions: true }
+            );
+            this.predictionCache.set(index, { boxes, diagnostics });
+            return boxes;
+        } catch (e) {
+            console.error(`Error loading predictions for ${entry.name}:`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Get the lines of an image's prediction file that could not be read
+     * Only known once its predictions have been loaded
+     * @param {number} index
+     * @returns {Array} Diagnostics from LabelParser.parseWithDiagnostics
+     */
+    getPredictionDiagnostics(index) {
+        return this.predictionCache.get(index)?.diagnostics || [];
+    }
+
+    /**
+     * Read the raw content of an entry's label file
+     * @param {Object} entry
+     * @returns {Promise<string>}
+     */
+    async readLabelContent(entry) {
+        if (entry.labelHandle) {
+            // File System Access API mode
+            return await this.fileManager.readLabel(entry.labelHandle);
+        }
+        if (entry.labelFile) {
+            // Drag-and-drop mode
+            return await this.fileManager.readLabelFromFile(entry.labelFile);
+        }
+        return '';
+    }
+
+    /**
+     * Read the label file an image's edits are based on
+     * Its modification time is kept so saves can tell whether it changed on disk since
+     * @param {Object} entry
+     * @returns {Promise<string>}
+     */
+    async readBaseContent(entry) {
+        if (!entry.labelHandle) {
+            return await this.readLabelContent(entry);
+        }
+        const { content, lastModified } = await this.fileManager.readLabelFile(entry.labelHandle);
+        entry.labelLastModified = lastModified;
+        return content;
+    }
+
+    /**
+     * Take the modification time of a label file the app itself wrote or moved
+     * @param {Object} entry
+     * @returns {Promise<void>}
+     */
+    async noteLabelWritten(entry) {
+        entry.labelLastModified = entry.labelHandle
+            ? await this.fileManager.getLastModified(entry.labelHandle)
+            : null;
+    }
+
+    /**
+     * Check whether an image's label file was changed on disk since it was loaded or saved
+     * A file that was only touched, with the content unchanged, does not count. For images
+     * whose save creates a label file, a file created there in the meantime counts
+     * @param {number} index
+     * @returns {Promise<{content: string, deleted: boolean, created: boolean}|null>} The file on disk, or null if unchanged
+     */
+    async getExternalChange(index) {
+        const entry = this.index[index];
+        if (entry && this.needsNewLabelFile(index)) {
+            const created = await this.findCreatedLabelFile(index);
+            if (!created) return null;
+            return { content: (await this.fileManager.readLabelFile(created)).content, deleted: false, created: true };
+        }
+        if (!entry?.labelHandle || entry.labelLastModified === null || !this.contentCache.has(index)) {
+            return null;
+        }
+
+        const lastModified = await this.fileManager.getLastModified(entry.labelHandle);
+        if (lastModified === entry.labelLastModified) return null;
+        if (lastModified === null) return { content: '', deleted: true, created: false };
+
+        const { content } = await this.fileManager.readLabelFile(entry.labelHandle);
+        if (content === this.contentCache.get(index)) {
+            entry.labelLastModified = lastModified;
+            return null;
+        }
+        return { content, deleted: false, created: false };
+    }
+
+    /**
+     * Drop an image's cached labels and read them again from disk
+     * A label file deleted on disk leaves the image unlabelled; one created on disk
+     * where a save would have created it becomes the image's label file
+     * @param {number} index
+     * @returns {Promise<Array>} Array of box objects
+     */
+    async reloadLabels(index) {
+        const entry = this.index[index];
+        const created = await this.findCreatedLabelFile(index);
+        if (created) {
+            entry.labelHandle = created;
+            entry.labelFormat = 'yolo';
+            entry.hasLabel = true;
+        } else if (entry.labelHandle && await this.fileManager.getLastModified(entry.labelHandle) === null) {
+            entry.labelHandle = null;
+            entry.labelFormat = this.getEntryLabelFormat(null, entry.cocoImage);
+            entry.hasLabel = !!entry.cocoImage;
+        }
+
+        for (const cache of [this.labelCache, this.contentCache, this.diagnosticsCache]) {
+            cache.delete(index);
+        }
+        entry.labelLastModified = null;
+        return await this.loadLabels(index);
+    }
+
+    /**
+     * Load and cache the boxes of a Pascal VOC label file
+     * @param {number} index
+     * @returns {Promise<Array>}
+     */
+    async loadVocLabels(index) {
+        const entry = this.index[index];
+        const content = await this.readBaseContent(entry);
+        const voc = VocFormat.parse(content);
+
+        if (voc.width > 0 && voc.height > 0) {
+            entry.imageSize = { width: voc.width, height: voc.height };
+        }
+        // Files without a <size> take it from the image, so saves can write real coordinates
+        const size = await this.getImageSize(index);
+        if (size) entry.imageSize = size;
+        const boxes = size
+            ? VocFormat.toBoxes(voc.objects, name => this.getClassIdForName(name), size.width, size.height)
+            : [];
+
+        this.labelCache.set(index, boxes);
+        this.contentCache.set(index, content);
+        this.diagnosticsCache.set(index, []);
+        entry.boxCount = boxes.length;
+        entry.issueCount = 0;
+        return boxes;
+    }
+
+    /**
+     * Get the format an image's labels are written in on save
+     * @param {number} index
+     * @returns {'yolo'|'voc'}
+     */
+    getSaveFormat(index) {
+        const entry = this.index[index];
+        return entry?.labelFormat === 'voc' && this.vocSaveFormat === 'voc' ? 'voc' : 'yolo';
+    }
+
+    /**
+     * Get the file name an image's labels are saved under
+     * @param {number} index
+     * @returns {string}
+     */
+    getLabelFileName(index) {
+        const entry = this.index[index];
+        return entry.baseName + (this.getSaveFormat(index) === 'voc' ? '.xml' : '.txt');
+    }
+
+    /**
+     * Build label file content as an edit of the file the labels were loaded from
+     * Untouched lines keep their exact original text
+     * @param {number} index
+     * @param {Array} boxes
+     * @param {Set<number>} keptLines - lineIndex of rejected lines to write back unchanged
+     * @returns {{content: string, boxLines: Map<string, number>}}
+     * @throws {Error} If a Pascal VOC file is due but the image size is unknown
+     */
+    buildLabelContent(index, boxes, keptLines = new Set()) {
+        const entry = this.index[index];
+        const original = this.contentCache.get(index) ?? '';
+
+        if (this.getSaveFormat(index) === 'voc') {
+            const size = entry.imageSize;
+            if (!(size?.width > 0 && size?.height > 0)) {
+                throw new Error(`Cannot write ${entry.name} as Pascal VOC: the image size is unknown`);
+            }
+            const content = VocFormat.serialize(boxes, original, {
+                filename: entry.name,
+                width: size.width,
+                height: size.height,
+                getName: classId => this.classes.getName(classId)
+            });
+            return { content, boxLines: new Map() };
+        }
+
+        // VOC files converted to YOLO start from an empty .txt
+        const yoloOriginal = entry.labelFormat === 'voc' ? '' : original;
+        return LabelParser.serializePreserving(boxes, yoloOriginal, this.getParseOptions(), keptLines);
+    }
+
+    /**
+     * Check if saving an image's labels creates a file: it has no label file yet, or its
+     * VOC labels are being converted to YOLO
+     * @param {number} index
+     * @returns {boolean}
+     */
+    needsNewLabelFile(index) {
+        const entry = this.index[index];
+        return (!entry.labelHandle && !entry.labelFile) || entry.labelFormat !== this.getSaveFormat(index);
+    }
+
+    /**
+     * Find a label file created on disk where saving an image's labels would create one
+     * @param {number} index
+     * @returns {Promise<FileSystemFileHandle|null>}
+     */
+    async findCreatedLabelFile(index) {
+        const entry = this.index[index];
+        if (entry.pairingIssue || this.fileManager.isReadOnly || !this.needsNewLabelFile(index)) {
+            return null;
+        }
+        return await this.fileManager.findLabelFile(entry.name, entry.split, entry.folder);
+    }
+
     /**
      * Save labels for an image
+     * On success the saved boxes' lineIndex is updated to the line they were written to
      * @param {number} index
      * @param {Array} boxes
+     * @param {Set<number>} keptLines - lineIndex of rejected lines to write back unchanged
      * @returns {Promise<boolean>}
      */
-    async saveLabels(index, boxes) {
+    async saveLabels(index, boxes, keptLines = new Set()) {
         if (index < 0 || index >= this.index.length) {
             return false;
         }
 
         const entry = this.index[index];
-        const content = LabelParser.serialize(boxes);
+        if (entry.pairingIssue) {
+            // Read-only: any file written could be another image's label
+            return false;
+        }
+        const saveFormat = this.getSaveFormat(index);
+        const fileName = this.getLabelFileName(index);
+        let built;
+        try {
+            built = this.buildLabelContent(index, boxes, keptLines);
+        } catch (e) {
+            console.error('Error saving label file:', e);
+            return false;
+        }
+        const { content, boxLines } = built;
 
-        // If no label file exists, create one
-        if (!entry.labelHandle && !entry.labelFile) {
+        if (this.needsNewLabelFile(index)) {
             if (this.fileManager.isReadOnly) {
                 // Download as fallback
-                this.fileManager.downloadFile(entry.baseName + '.txt', content);
+                this.fileManager.downloadFile(fileName, content);
                 return true;
             }
 
-            const newHandle = await this.fileManager.createLabelFile(entry.name);
+            const newHandle = await this.fileManager.createLabelFile(entry.name, entry.split, entry.folder);
             if (newHandle) {
                 entry.labelHandle = newHandle;
+                entry.labelFormat = 'yolo';
                 entry.hasLabel = true;
             } else {
                 // Fallback to download
-                this.fileManager.downloadFile(entry.baseName + '.txt', content);
+                this.fileManager.downloadFile(fileName, content);
                 return true;
             }
         }
@@ -252,16 +1255,27 @@ export class DatasetLoader {
         if (entry.labelHandle) {
             const success = await this.fileManager.saveLabel(entry.labelHandle, content);
             if (success) {
+                await this.noteLabelWritten(entry);
+                for (const box of boxes) {
+                    box.lineIndex = boxLines.get(box.id) ?? null;
+                }
+
                 // Update cache
+                const { diagnostics } = saveFormat === 'yolo'
+                    ? LabelParser.parseWithDiagnostics(content, this.getParseOptions())
+                    : { diagnostics: [] };
                 this.labelCache.set(index, LabelParser.cloneBoxes(boxes));
+                this.contentCache.set(index, content);
+                this.diagnosticsCache.set(index, diagnostics);
                 entry.boxCount = boxes.filter(b => !b.deleted).length;
+                entry.issueCount = diagnostics.length;
                 entry.modified = false;
             }
             return success;
         }
 
         // Fallback: download
-        this.fileManager.downloadFile(entry.baseName + '.txt', content);
+        this.fileManager.downloadFile(fileName, content);
         return true;
     }
 
@@ -357,7 +1371,9 @@ export class DatasetLoader {
         const results = [];
 
         this.index.forEach((entry, index) => {
-            if (entry.name.toLowerCase().includes(lowerQuery)) {
+            // Folder names match too, so a folder can be listed by searching for it
+            const path = entry.folder ? `${entry.folder}/${entry.name}` : entry.name;
+            if (path.toLowerCase().includes(lowerQuery)) {
                 results.push({ index, entry });
             }
         });
@@ -384,6 +1400,13 @@ export class DatasetLoader {
         this.index = [];
         this.imageCache.clear();
         this.labelCache.clear();
+        this.contentCache.clear();
+        this.diagnosticsCache.clear();
+        this.classes.clear();
+        this.datasetConfig = null;
+        this.coco = null;
+        this.predictions = null;
+        this.predictionCache.clear();
         this.dropModeImages = null;
         this.dropModeLabels = null;
     }
@@ -0,0 +1,204 @@
+import { BoxMatcher } from './BoxMatcher.js';
+
+const IOU_THRESHOLDS = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+
+/**
+ * Evaluator
+ * Detection metrics of a prediction set against the labels, computed the way
+ * the Ultralytics validator does: AP from the precision envelope sampled at 101
+ * recall points, averaged over IoU 0.50:0.95 for AP50-95
+ */
+export class Evaluator {
+    /**
+     * Evaluate predictions for a set of images
+     * @param {Array<{gt: Array, preds: Array}>} images - Labels and predictions per image
+     * @param {Object} options
+     * @param {number} options.confThreshold - Confidence used for precision, recall and the confusion matrix
+     * @param {number} options.matrixIou - IoU needed to pair boxes in the confusion matrix
+     * @returns {{classes: Array<Object>, all: Object, confusion: Object}}
+     *   classes: {classId, images, labels, precision, recall, ap50, ap5095} per class
+     */
+    static evaluate(images, { confThreshold = 0.25, matrixIou = 0.45 } = {}) {
+        // Per prediction: class, confidence and whether it is a TP at each IoU threshold
+        const records = [];
+        const labelCounts = new Map();
+        const imageCounts = new Map();
+        const confusion = { classIds: [], counts: new Map() };
+
+        for (const { gt, preds } of images) {
+            const labels = gt.filter(b => !b.deleted);
+            for (const classId of new Set(labels.map(b => b.classId))) {
+                imageCounts.set(classId, (imageCounts.get(classId) || 0) + 1);
+            }
+            for (const box of labels) {
+                labelCounts.set(box.classId, (labelCounts.get(box.classId) || 0) + 1);
+            }
+
+            const tpByPred = new Map(preds.map(p => [p.id, []]));
+            for (const threshold of IOU_THRESHOLDS) {
+                const { status } = BoxMatcher.match(labels, preds, threshold);
+                for (const pred of preds) {
+                    tpByPred.get(pred.id).push(status.get(pred.id) === 'tp');
+                }
+            }
+            for (const pred of preds) {
+                records.push({ classId: pred.classId, confidence: pred.confidence ?? 1, tp: tpByPred.get(pred.id) });
+            }
+
+            this.addToConfusion(
+                confusion,
+                labels,
+                preds.filter(p => (p.confidence ?? 1) >= confThreshold),
+                matrixIou
+            );
+        }
+
+        const classIds = [...new Set([...labelCounts.keys(), ...records.map(r => r.classId)])]
+            .sort((a, b) => a - b);
+
+        const classes = classIds.map(classId => this.evaluateClass(
+            classId,
+            records.filter(r => r.classId === classId),
+            labelCounts.get(classId) || 0,
+            imageCounts.get(classId) || 0,
+            confThreshold
+        ));
+
+        // Classes without labels have no defined recall/AP and are left out of the means
+        const scored = classes.filter(c => c.labels > 0);
+        const mean = key => scored.length > 0 ? scored.reduce((sum, c) => sum + c[key], 0) / scored.length : 0;
+
+        confusion.classIds = classIds;
+
+        return {
+            classes,
+            all: {
+                images: images.length,
+                labels: scored.reduce((sum, c) => sum + c.labels, 0),
+                precision: mean('precision'),
+                recall: mean('recall'),
+                ap50: mean('ap50'),
+                ap5095: mean('ap5095')
+            },
+            confusion
+        };
+    }
+
+    /**
+     * Metrics for a single class
+     * @param {number} classId
+     * @param {Array<Object>} records - Predictions of this class
+     * @param {number} labelCount - Number of labels of this class
+     * @param {number} imageCount - Number of images containing this class
+     * @param {number} confThreshold
+     * @returns {Object}
+     */
+    static evaluateClass(classId, records, labelCount, imageCount, confThreshold) {
+        const sorted = [...records].sort((a, b) => b.confidence - a.confidence);
+
+        const aps = IOU_THRESHOLDS.map((_, t) => {
+            if (labelCount === 0) return 0;
+            let tp = 0;
+            const recall = [];
+            const precision = [];
+            sorted.forEach((record, i) => {
+                if (record.tp[t]) tp++;
+                recall.push(tp / labelCount);
+                precision.push(tp / (i + 1));
+            });
+            return this.averagePrecision(recall, precision);
+        });
+
+        // Precision and recall at IoU 0.5 for the predictions above the confidence threshold
+        const kept = sorted.filter(r => r.confidence >= confThreshold);
+        const tp50 = kept.filter(r => r.tp[0]).length;
+
+        return {
+            classId,
+            images: imageCount,
+            labels: labelCount,
+            predictions: records.length,
+            precision: kept.length > 0 ? tp50 / kept.length : 0,
+            recall: labelCount > 0 ? tp50 / labelCount : 0,
+            ap50: aps[0],
+            ap5095: aps.reduce((sum, ap) => sum + ap, 0) / aps.length
+        };
+    }
+
+    /**
+     * Area under the precision-recall curve (101-point interpolation)
+     * @param {Array<number>} recall - Increasing recall per ranked prediction
+     * @param {Array<number>} precision - Precision per ranked prediction
+     * @returns {number}
+     */
+    static averagePrecision(recall, precision) {
+        if (recall.length === 0) return 0;
+
+        // Precision envelope: best precision at this recall or higher
+        const envelope = [...precision];
+        for (let i = envelope.length - 2; i >= 0; i--) {
+            envelope[i] = Math.max(envelope[i], envelope[i + 1]);
+        }
+
+        let sum = 0;
+        let j = 0;
+        for (let k = 0; k <= 100; k++) {
+            const r = k / 100;
+            while (j < recall.length && recall[j] < r) j++;
+            sum += j < recall.length ? envelope[j] : 0;
+        }
+        return sum / 101;
+    }
+
+    /**
+     * Add one image to the confusion matrix
+     * Boxes are paired by IoU regardless of class; unpaired labels count as missed
+     * (predicted background) and unpaired predictions as background labelled as a class
+     * @param {Object} confusion - {counts: Map<"true,pred", number>}; background is null
+     * @param {Array<Object>} labels
+     * @param {Array<Object>} preds
+     * @param {number} iouThreshold
+     */
+    static addToConfusion(confusion, labels, preds, iouThreshold) {
+        const pairs = [];
+        for (const gt of labels) {
+            for (const pred of preds) {
+                const iou = BoxMatcher.iou(gt, pred);
+                if (iou >= iouThreshold) pairs.push({ gt, pred, iou });
+            }
+        }
+        pairs.sort((a, b) => b.iou - a.iou);
+
+        const add = (trueClass, predClass) => {
+            const key = `${trueClass},${predClass}`;
+            confusion.counts.set(key, (confusion.counts.get(key) || 0) + 1);
+        };
+
+        const usedGt = new Set();
+        const usedPred = new Set();
+        for (const { gt, pred } of pairs) {
+            if (usedGt.has(gt.id) || usedPred.has(pred.id)) continue;
+            usedGt.add(gt.id);
+            usedPred.add(pred.id);
+            add(gt.classId, pred.classId);
+        }
+
+        for (const gt of labels) {
+            if (!usedGt.has(gt.id)) add(gt.classId, null);
+        }
+        for (const pred of preds) {
+            if (!usedPred.has(pred.id)) add(null, pred.classId);
+        }
+    }
+
+    /**
+     * Read a cell of the confusion matrix
+     * @param {Object} confusion
+     * @param {number|null} trueClass - null for background
+     * @param {number|null} predClass - null for background
+     * @returns {number}
+     */
+    static getConfusionCount(confusion, trueClass, predClass) {
+        return confusion.counts.get(`${trueClass},${predClass}`) || 0;
+    }
+}
@@ -1,3 +1,9 @@
+// Folder names recognized as dataset splits at the root, in display order
+const SPLIT_NAMES = ['train', 'val', 'valid', 'validation', 'test'];
+
+// Removed images and labels are moved here, keeping their path below the root
+const QUARANTINE_FOLDER = '_removed';
+
 /**
  * File Manager
  * Handles File System Access API for folder loading and file saving
@@ -8,6 +14,13 @@ export class FileManager {
         this.rootHandle = null;
         this.imagesHandle = null;
         this.labelsHandle = null;
+        // Pascal VOC Annotations/ folder with one .xml per image
+        this.vocHandle = null;
+        // Dataset splits: {name, imagesHandle, labelsHandle, dirHandle} per split folder;
+        // dirHandle is the split folder itself in the train/images + train/labels layout
+        this.splits = [];
+        // Class name and COCO annotation files: FileSystemFileHandle, or File in drop mode
+        this.configFiles = { yaml: null, names: null, coco: null };
         this.supportsFileSystem = 'showDirectoryPicker' in window;
         this.isReadOnly = false;
     }
@@ -64,39 +77,88 @@ export class FileManager {
 
     /**
      * Find images and labels subfolders
+     * Also picks up data.yaml / classes.txt / obj.names next to them, and a COCO
+     * JSON file in the root or an annotations/ folder
+     * Pascal VOC layouts (JPEGImages/ + Annotations/*.xml) are recognized too
      */
     async findSubfolders() {
         if (!this.rootHandle) return;
 
         this.imagesHandle = null;
         this.labelsHandle = null;
+        this.vocHandle = null;
+        this.splits = [];
+        this.configFiles = { yaml: null, names: null, coco: null };
+
+        const getSplit = (name) => {
+            let split = this.splits.find(s => s.name === name);
+            if (!split) {
+                split = { name, imagesHandle: null, labelsHandle: null, dirHandle: null };
+                this.splits.push(split);
+            }
+            return split;
+        };
 
         for await (const entry of this.rootHandle.values()) {
-            if (entry.kind === 'directory') {
+            if (entry.kind === 'file') {
+                this.noteConfigFile(entry.name, entry);
+            } else if (entry.kind === 'directory') {
                 const name = entry.name.toLowerCase();
-                if (name === 'images' || name === 'train' || name === 'valid' || name === 'test') {
-                    // Check if this directory contains images or has images/ subfolder
-                    const hasImages = await this.checkForImages(entry);
-                    if (hasImages) {
+                if (name === 'images') {
+                    if (await this.checkForImages(entry)) {
                         this.imagesHandle = entry;
                     }
-                    // Also check for images/ and labels/ subfolders (common YOLO structure)
+                    // images/train, images/val, ... (Ultralytics layout); other subfolders are nested folders
+                    for await (const subEntry of entry.values()) {
+                        if (subEntry.kind === 'directory' && SPLIT_NAMES.includes(subEntry.name.toLowerCase()) &&
+                            await this.checkForImages(subEntry)) {
+                            getSplit(subEntry.name).imagesHandle = subEntry;
+                        }
+                    }
+                } else if (SPLIT_NAMES.includes(name)) {
+                    // train/images + train/labels (Roboflow layout), or images directly in train/
+                    const split = getSplit(entry.name);
+                    split.dirHandle = entry;
+                    if (await this.checkForImages(entry)) {
+                        split.imagesHandle = entry;
+                    }
                     for await (const subEntry of entry.values()) {
                         if (subEntry.kind === 'directory') {
                             const subName = subEntry.name.toLowerCase();
                             if (subName === 'images') {
-                                this.imagesHandle = subEntry;
+                                split.imagesHandle = subEntry;
                             } else if (subName === 'labels') {
-                                this.labelsHandle = subEntry;
+                                split.labelsHandle = subEntry;
                             }
                         }
                     }
+                } else if (name === 'jpegimages') {
+                    this.imagesHandle = entry;
                 } else if (name === 'labels') {
                     this.labelsHandle = entry;
+                    // labels/train, labels/val, ... pair with images/train, images/val, ...
+                    for await (const subEntry of entry.values()) {
+                        if (subEntry.kind === 'directory' && SPLIT_NAMES.includes(subEntry.name.toLowerCase())) {
+                            getSplit(subEntry.name).labelsHandle = subEntry;
+                        }
+                    }
+                } else if (name === 'annotations') {
+                    for await (const subEntry of entry.values()) {
+                        if (subEntry.kind !== 'file') continue;
+                        if (this.getLabelType(subEntry.name) === 'voc') {
+                            this.vocHandle = entry;
+                        } else {
+                            this.noteConfigFile(subEntry.name, subEntry);
+                        }
+                    }
                 }
             }
         }
 
+        this.splits = this.splits
+            .filter(split => split.imagesHandle)
+            .sort((a, b) => this.compareSplits(a.name, b.name));
+
         // If we found images but not labels at the same level, look for labels folder
         if (this.imagesHandle && !this.labelsHandle) {
             // Look for labels folder at same level as images
@@ -110,6 +172,170 @@ export class FileManager {
                 }
             }
         }
+
+        // LabelImg and darknet tools often keep classes.txt inside labels/
+        const labelDirs = [this.labelsHandle, ...this.splits.map(split => split.labelsHandle)];
+        for (const dirHandle of labelDirs) {
+            if (!dirHandle || this.configFiles.names) continue;
+            for await (const entry of dirHandle.values()) {
+                if (entry.kind === 'file') {
+                    this.noteConfigFile(entry.name, entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Order split names: train, val, test first, anything else by name
+     * @param {string|null} a
+     * @param {string|null} b
+     * @returns {number}
+     */
+    compareSplits(a, b) {
+        if (a === b) return 0;
+        if (a === null) return -1;
+        if (b === null) return 1;
+
+        const rank = name => {
+            const i = SPLIT_NAMES.indexOf(name.toLowerCase());
+            return i < 0 ? SPLIT_NAMES.length : i;
+        };
+        return rank(a) - rank(b) || a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    /**
+     * Sort order of scanned images: by split, then folder, then filename
+     * @param {{name: string, split: string|null, folder: string}} a
+     * @param {{name: string, split: string|null, folder: string}} b
+     * @returns {number}
+     */
+    compareImages(a, b) {
+        return this.compareSplits(a.split, b.split) ||
+            a.folder.localeCompare(b.folder, undefined, { numeric: true }) ||
+            a.name.localeCompare(b.name, undefined, { numeric: true });
+    }
+
+    /**
+     * Key under which a label file is paired with its image: its path relative
+     * to the labels folder, which mirrors the image's path in the images folder
+     * @param {string|null} split
+     * @param {string} folder - Nested folder path ('' at the top)
+     * @param {string} baseName
+     * @returns {string}
+     */
+    getLabelKey(split, folder, baseName) {
+        return [split, folder, baseName].filter(Boolean).join('/');
+    }
+
+    /**
+     * Append a folder name to a relative folder path
+     * @param {string} folder - '' at the top
+     * @param {string} name
+     * @returns {string}
+     */
+    joinPath(folder, name) {
+        return folder ? `${folder}/${name}` : name;
+    }
+
+    /**
+     * Check if a subfolder is scanned as part of the folder it is in
+     * Hidden folders and the _removed/ folder are skipped, and so are the images,
+     * labels and split folders of the dataset, which are scanned on their own
+     * @param {FileSystemDirectoryHandle} dirHandle
+     * @returns {Promise<boolean>}
+     */
+    async isNestedFolder(dirHandle) {
+        if (this.isIgnoredFolder(dirHandle.name)) return false;
+
+        const scannedOnTheirOwn = [
+            this.imagesHandle,
+            this.labelsHandle,
+            this.vocHandle,
+            ...this.splits.flatMap(split => [split.imagesHandle, split.labelsHandle, split.dirHandle])
+        ];
+        for (const handle of scannedOnTheirOwn) {
+            if (handle && await dirHandle.isSameEntry(handle)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check if a folder is never part of the dataset: hidden folders and _removed/
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isIgnoredFolder(name) {
+        return name.startsWith('.') || name === QUARANTINE_FOLDER;
+    }
+
+    /**
+     * Get a nested folder of a folder
+     * @param {FileSystemDirectoryHandle} dirHandle
+     * @param {string} folder - Relative folder path ('' for the folder itself)
+     * @param {boolean} create - Create missing folders
+     * @returns {Promise<FileSystemDirectoryHandle>}
+     */
+    async getSubfolder(dirHandle, folder, create = false) {
+        let current = dirHandle;
+        for (const part of folder ? folder.split('/') : []) {
+            current = await current.getDirectoryHandle(part, { create });
+        }
+        return current;
+    }
+
+    /**
+     * Check if a filename is a dataset config file (data.yaml, classes.txt, obj.names)
+     * or a COCO annotation file (*.json)
+     * @param {string} filename
+     * @returns {'yaml'|'names'|'coco'|null}
+     */
+    getConfigFileType(filename) {
+        const name = filename.toLowerCase();
+        if (name.endsWith('.yaml') || name.endsWith('.yml')) return 'yaml';
+        if (name === 'classes.txt' || name.endsWith('.names')) return 'names';
+        if (name.endsWith('.json')) return 'coco';
+        return null;
+    }
+
+    /**
+     * Remember a config file if it is one
+     * data.yaml is preferred over other YAML files, instances*.json over other JSON files
+     * @param {string} filename
+     * @param {FileSystemFileHandle|File} source
+     * @returns {boolean} True if the file is a class name file
+     */
+    noteConfigFile(filename, source) {
+        const type = this.getConfigFileType(filename);
+        if (!type) return false;
+
+        const isPreferred = /^data\.ya?ml$/i.test(filename) || /^instances.*\.json$/i.test(filename);
+        if (!this.configFiles[type] || isPreferred) {
+            this.configFiles[type] = source;
+        }
+        return true;
+    }
+
+    /**
+     * Read the contents of the config files found with the dataset
+     * @returns {Promise<{yaml: string|null, names: string|null, coco: string|null}>}
+     */
+    async readConfigFiles() {
+        const read = async (source) => {
+            if (!source) return null;
+            try {
+                const file = typeof source.getFile === 'function' ? await source.getFile() : source;
+                return await file.text();
+            } catch (e) {
+                console.error('Error reading dataset config file:', e);
+                return null;
+            }
+        };
+
+        return {
+            yaml: await read(this.configFiles.yaml),
+            names: await read(this.configFiles.names),
+            coco: await read(this.configFiles.coco)
+        };
     }
 
     /**
@@ -123,7 +349,7 @@ export class FileManager {
     }
 
     /**
-     * Check if a directory contains image files
+     * Check if a directory or any folder nested in it contains image files
      * @param {FileSystemDirectoryHandle} dirHandle
      * @returns {Promise<boolean>}
      */
@@ -135,29 +361,33 @@ export class FileManager {
                 if (imageExtensions.includes(ext)) {
                     return true;
                 }
+            } else if (!this.isIgnoredFolder(entry.name) && await this.checkForImages(entry)) {
+                return true;
             }
         }
         return false;
     }
 
     /**
-     * Scan the images folder and return file entries
-     * @returns {Promise<Array<{name: string, handle: FileSystemFileHandle}>>}
+     * Scan the images folder and the split folders and return file entries
+     * @returns {Promise<Array<{name: string, handle: FileSystemFileHandle, split: string|null, folder: string}>>}
      */
     async scanImages() {
         const images = [];
 
-        if (!this.imagesHandle) {
-            // If no images subfolder, scan root for images
-            if (this.rootHandle) {
-                await this.scanDirectoryForImages(this.rootHandle, images);
-            }
-        } else {
+        for (const split of this.splits) {
+            await this.scanDirectoryForImages(split.imagesHandle, images, split.name);
+        }
+
+        if (this.imagesHandle) {
             await this.scanDirectoryForImages(this.imagesHandle, images);
+        } else if (this.rootHandle && this.splits.length === 0) {
+            // If no images subfolder, scan root for images
+            await this.scanDirectoryForImages(this.rootHandle, images);
         }
 
-        // Sort by filename
-        images.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        // Sort by split, folder and filename
+        images.sort((a, b) => this.compareImages(a, b));
 
         return images;
     }
@@ -166,8 +396,10 @@ export class FileManager {
      * Recursively scan a directory for images
      * @param {FileSystemDirectoryHandle} dirHandle
      * @param {Array} results
+     * @param {string|null} split - Split the images belong to
+     * @param {string} folder - Path of dirHandle below the split's images folder
      */
-    async scanDirectoryForImages(dirHandle, results) {
+    async scanDirectoryForImages(dirHandle, results, split = null, folder = '') {
         const imageExtensions = ['.jpg', '.jpeg', '.png', '.bmp', '.webp', '.gif'];
 
         for await (const entry of dirHandle.values()) {
@@ -176,24 +408,46 @@ export class FileManager {
                 if (imageExtensions.includes(ext)) {
                     results.push({
                         name: entry.name,
-                        handle: entry
+                        handle: entry,
+                        split,
+                        folder
                     });
                 }
+            } else if (await this.isNestedFolder(entry)) {
+                await this.scanDirectoryForImages(entry, results, split, this.joinPath(folder, entry.name));
             }
         }
     }
 
     /**
      * Scan the labels folder and return file entries as a map
-     * @returns {Promise<Map<string, FileSystemFileHandle>>} Map of basename -> handle
+     * YOLO .txt labels win over Pascal VOC .xml files for the same image
+     * Without a labels folder, labels are looked for next to the images only, so other
+     * .txt files in the dataset folder (prediction runs, notes) are not taken for labels
+     * @param {Array<{split: string|null, folder: string}>} images - From scanImages()
+     * @returns {Promise<Map<string, FileSystemFileHandle>>} Map of label key (see getLabelKey) -> handle
      */
-    async scanLabels() {
+    async scanLabels(images = []) {
         const labels = new Map();
 
+        if (this.vocHandle) {
+            await this.scanDirectoryForLabels(this.vocHandle, labels);
+        }
+
+        for (const split of this.splits) {
+            if (split.labelsHandle) {
+                await this.scanDirectoryForLabels(split.labelsHandle, labels, split.name);
+            }
+        }
+
         if (!this.labelsHandle) {
-            // If no labels subfolder, scan root for .txt files
+            // If no labels subfolder, scan root for .txt files, and the nested folders of
+            // images kept in the root itself
             if (this.rootHandle) {
-                await this.scanDirectoryForLabels(this.rootHandle, labels);
+                const imageFolders = this.imagesHandle || this.splits.length > 0
+                    ? new Set()
+                    : new Set(images.filter(image => image.split === null).map(image => image.folder));
+                await this.scanDirectoryForLabels(this.rootHandle, labels, null, '', imageFolders);
             }
         } else {
             await this.scanDirectoryForLabels(this.labelsHandle, labels);
@@ -206,28 +460,168 @@ export class FileManager {
      * Recursively scan a directory for label files
      * @param {FileSystemDirectoryHandle} dirHandle
      * @param {Map} results
+     * @param {string|null} split - Split the labels belong to
+     * @param {string} folder - Path of dirHandle below the split's labels folder
+     * @param {Set<string>|null} onlyFolders - Only take labels from these nested folders (and the
+     *   folder itself); null for all
      */
-    async scanDirectoryForLabels(dirHandle, results) {
+    async scanDirectoryForLabels(dirHandle, results, split = null, folder = '', onlyFolders = null) {
+        const leadsToWanted = path => onlyFolders === null ||
+            [...onlyFolders].some(wanted => wanted === path || wanted.startsWith(path + '/'));
+
         for await (const entry of dirHandle.values()) {
-            if (entry.kind === 'file' && entry.name.endsWith('.txt')) {
-                const baseName = this.getBaseName(entry.name);
-                results.set(baseName, entry);
+            if (entry.kind === 'file') {
+                const inWantedFolder = folder === '' || onlyFolders === null || onlyFolders.has(folder);
+                if (inWantedFolder && !this.getConfigFileType(entry.name)) {
+                    this.noteLabelFile(entry.name, entry, results, split, folder);
+                }
+            } else {
+                const path = this.joinPath(folder, entry.name);
+                if (leadsToWanted(path) && await this.isNestedFolder(entry)) {
+                    await this.scanDirectoryForLabels(entry, results, split, path, onlyFolders);
+                }
             }
         }
     }
 
+    /**
+     * Get the label format of a file from its extension
+     * @param {string} filename
+     * @returns {'yolo'|'voc'|null}
+     */
+    getLabelType(filename) {
+        const ext = this.getExtension(filename).toLowerCase();
+        if (ext === '.txt') return 'yolo';
+        if (ext === '.xml') return 'voc';
+        return null;
+    }
+
+    /**
+     * Add a label file to the label map if it is one
+     * A .txt label replaces a .xml label with the same basename, never the other way round
+     * @param {string} filename
+     * @param {FileSystemFileHandle|File} source
+     * @param {Map} results
+     * @param {string|null} split - Split the label belongs to
+     * @param {string} folder - Nested folder path of the label
+     */
+    noteLabelFile(filename, source, results, split = null, folder = '') {
+        const type = this.getLabelType(filename);
+        if (!type) return;
+
+        const key = this.getLabelKey(split, folder, this.getBaseName(filename));
+        const existing = results.get(key);
+        if (type === 'voc' && existing && this.getLabelType(existing.name) === 'yolo') return;
+        results.set(key, source);
+    }
+
+    /**
+     * Pick a folder of prediction label files (e.g. runs/detect/predict)
+     * Its labels/ subfolder is used when there is one
+     * @returns {Promise<{name: string, labels: Map<string, FileSystemFileHandle>}|null>} labels:
+     *   label key (see getLabelKey, relative to the labels folder) -> handle
+     */
+    async openPredictionsFolder() {
+        if (!this.supportsFileSystem) {
+            console.warn('File System Access API not supported');
+            return null;
+        }
+
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker({ mode: 'read' });
+        } catch (e) {
+            if (e.name === 'AbortError') return null;
+            throw e;
+        }
+
+        let labelsDir = handle;
+        for await (const entry of handle.values()) {
+            if (entry.kind === 'directory' && entry.name.toLowerCase() === 'labels') {
+                labelsDir = entry;
+                break;
+            }
+        }
+
+        const labels = new Map();
+        await this.scanDirectoryForLabels(labelsDir, labels);
+        for (const [key, labelHandle] of labels) {
+            if (this.getLabelType(labelHandle.name) !== 'yolo') labels.delete(key);
+        }
+
+        return { name: handle.name, labels };
+    }
+
+    /**
+     * Collect prediction label files from a folder picked with <input webkitdirectory>
+     * Like openPredictionsFolder(), only the labels/ subfolder is used when there is one
+     * @param {FileList} files
+     * @returns {{name: string, labels: Map<string, File>}} labels: label key (see getLabelKey,
+     *   relative to the labels folder) -> file
+     */
+    collectPredictionFiles(files) {
+        const found = [];
+        let name = 'predictions';
+
+        for (const file of files) {
+            const parts = (file.webkitRelativePath || file.name).split('/');
+            if (parts.length > 1) name = parts[0];
+            if (this.getLabelType(file.name) !== 'yolo' || this.getConfigFileType(file.name)) continue;
+
+            // Path below the picked folder
+            const path = parts.length > 1 ? parts.slice(1) : parts;
+            if (path.slice(0, -1).some(part => this.isIgnoredFolder(part))) continue;
+            found.push({ file, path });
+        }
+
+        const inLabelsDir = ({ path }) => path.length > 1 && path[0].toLowerCase() === 'labels';
+        const useLabelsDir = found.some(inLabelsDir);
+
+        const labels = new Map();
+        for (const { file, path } of found) {
+            if (useLabelsDir && !inLabelsDir({ path })) continue;
+            const folder = path.slice(useLabelsDir ? 1 : 0, -1).join('/');
+            labels.set(this.getLabelKey(null, folder, this.getBaseName(file.name)), file);
+        }
+
+        return { name, labels };
+    }
+
     /**
      * Read a label file's content
      * @param {FileSystemFileHandle} handle
      * @returns {Promise<string>}
      */
     async readLabel(handle) {
+        return (await this.readLabelFile(handle)).content;
+    }
+
+    /**
+     * Read a label file's content together with its modification time
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<{content: string, lastModified: number|null}>} lastModified is null if unreadable
+     */
+    async readLabelFile(handle) {
         try {
             const file = await handle.getFile();
-            return await file.text();
+            return { content: await file.text(), lastModified: file.lastModified };
         } catch (e) {
             console.error('Error reading label file:', e);
-            return '';
+            return { content: '', lastModified: null };
+        }
+    }
+
+    /**
+     * Get the time a file was last modified on disk
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<number|null>} Null if the file no longer exists
+     */
+    async getLastModified(handle) {
+        try {
+            return (await handle.getFile()).lastModified;
+        } catch (e) {
+            if (e.name === 'NotFoundError') return null;
+            throw e;
         }
     }
 
@@ -264,25 +658,96 @@ export class FileManager {
         }
     }
 
+    /**
+     * Write a dataset config file in place
+     * A classes.txt is created in the dataset root when there is none yet
+     * @param {'yaml'|'names'} type
+     * @param {string} content
+     * @returns {Promise<boolean>}
+     */
+    async saveConfigFile(type, content) {
+        if (this.isReadOnly) {
+            console.warn('Cannot save: file system is read-only');
+            return false;
+        }
+
+        try {
+            if (!this.configFiles[type] && type === 'names' && this.rootHandle) {
+                this.configFiles.names = await this.rootHandle.getFileHandle('classes.txt', { create: true });
+            }
+
+            const handle = this.configFiles[type];
+            if (!handle || typeof handle.createWritable !== 'function') {
+                return false;
+            }
+
+            const writable = await handle.createWritable();
+            await writable.write(content);
+            await writable.close();
+            return true;
+        } catch (e) {
+            console.error('Error saving dataset config file:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Find the label file createLabelFile() would create, if it exists by now
+     * @param {string} imageName - The image filename to base the label name on
+     * @param {string|null} split - Split the image belongs to
+     * @param {string} folder - Nested folder path of the image
+     * @returns {Promise<FileSystemFileHandle|null>}
+     */
+    async findLabelFile(imageName, split = null, folder = '') {
+        try {
+            let labelsDir;
+            if (split !== null) {
+                labelsDir = await this.getSplitLabelsDir(split);
+            } else if (!this.labelsHandle && this.vocHandle && this.rootHandle) {
+                labelsDir = await this.rootHandle.getDirectoryHandle('labels');
+            } else {
+                labelsDir = this.labelsHandle || this.rootHandle;
+            }
+            if (!labelsDir) return null;
+
+            const targetDir = await this.getSubfolder(labelsDir, folder);
+            return await targetDir.getFileHandle(this.getBaseName(imageName) + '.txt');
+        } catch (e) {
+            if (e.name === 'NotFoundError' || e.name === 'TypeMismatchError') return null;
+            throw e;
+        }
+    }
+
     /**
      * Create a new label file
+     * Images of a split go to that split's labels folder, in the same nested
+     * folder as the image
      * @param {string} imageName - The image filename to base the label name on
+     * @param {string|null} split - Split the image belongs to
+     * @param {string} folder - Nested folder path of the image
      * @returns {Promise<FileSystemFileHandle|null>}
      */
-    async createLabelFile(imageName) {
+    async createLabelFile(imageName, split = null, folder = '') {
         if (this.isReadOnly) {
             console.warn('Cannot create file: file system is read-only');
             return null;
         }
 
         const labelName = this.getBaseName(imageName) + '.txt';
-        const targetDir = this.labelsHandle || this.rootHandle;
-
-        if (!targetDir) {
-            return null;
-        }
 
         try {
+            // Converted VOC datasets get a labels/ folder instead of files in the root
+            if (!this.labelsHandle && this.vocHandle && this.rootHandle) {
+                this.labelsHandle = await this.rootHandle.getDirectoryHandle('labels', { create: true });
+            }
+
+            const splitLabels = split !== null ? await this.getSplitLabelsDir(split, true) : null;
+            const labelsDir = splitLabels || this.labelsHandle || this.rootHandle;
+            if (!labelsDir) {
+                return null;
+            }
+
+            const targetDir = await this.getSubfolder(labelsDir, folder, true);
             const handle = await targetDir.getFileHandle(labelName, { create: true });
             return handle;
         } catch (e) {
@@ -291,6 +756,246 @@ export class FileManager {
         }
     }
 
+    /**
+     * Get the images folder of a split, optionally creating the split
+     * New splits follow the existing layout: train/images when the dataset
+     * uses it, images/train otherwise
+     * @param {string|null} name - Split name; null for the images outside any split
+     * @param {boolean} create - Create the split if it does not exist
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async getSplitImagesDir(name, create = false) {
+        if (name === null) return this.imagesHandle || this.rootHandle;
+
+        let split = this.splits.find(s => s.name === name);
+        if (split) return split.imagesHandle;
+        if (!create || !this.rootHandle) return null;
+
+        if (this.splits.some(s => s.dirHandle)) {
+            const dirHandle = await this.rootHandle.getDirectoryHandle(name, { create: true });
+            const imagesHandle = await dirHandle.getDirectoryHandle('images', { create: true });
+            split = { name, imagesHandle, labelsHandle: null, dirHandle };
+        } else {
+            const imagesRoot = await this.rootHandle.getDirectoryHandle('images', { create: true });
+            const imagesHandle = await imagesRoot.getDirectoryHandle(name, { create: true });
+            split = { name, imagesHandle, labelsHandle: null, dirHandle: null };
+        }
+
+        this.splits.push(split);
+        this.splits.sort((a, b) => this.compareSplits(a.name, b.name));
+        return split.imagesHandle;
+    }
+
+    /**
+     * Get the labels folder of a split, optionally creating it
+     * @param {string} name - Split name
+     * @param {boolean} create - Create the folder if the split has none
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async getSplitLabelsDir(name, create = false) {
+        const split = this.splits.find(s => s.name === name);
+        if (!split || split.labelsHandle || !create || !this.rootHandle) {
+            return split?.labelsHandle ?? null;
+        }
+
+        if (split.dirHandle) {
+            split.labelsHandle = await split.dirHandle.getDirectoryHandle('labels', { create: true });
+        } else {
+            if (!this.labelsHandle) {
+                this.labelsHandle = await this.rootHandle.getDirectoryHandle('labels', { create: true });
+            }
+            split.labelsHandle = await this.labelsHandle.getDirectoryHandle(name, { create: true });
+        }
+        return split.labelsHandle;
+    }
+
+    /**
+     * Check if a folder contains a file
+     * @param {FileSystemDirectoryHandle} dirHandle
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async hasFile(dirHandle, name) {
+        try {
+            await dirHandle.getFileHandle(name);
+            return true;
+        } catch (e) {
+            if (e.name === 'NotFoundError' || e.name === 'TypeMismatchError') return false;
+            throw e;
+        }
+    }
+
+    /**
+     * Find the folder a file is in, searching below some folders
+     * @param {FileSystemFileHandle} handle
+     * @param {Array<FileSystemDirectoryHandle|null>} candidates
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async findParentDir(handle, candidates) {
+        for (const dirHandle of candidates) {
+            if (!dirHandle) continue;
+            const path = await dirHandle.resolve(handle);
+            if (path) return this.getSubfolder(dirHandle, path.slice(0, -1).join('/'));
+        }
+        return null;
+    }
+
+    /**
+     * Move a file to another folder by copying it and removing the original
+     * @param {FileSystemFileHandle} handle
+     * @param {FileSystemDirectoryHandle} fromDir - Folder the file is in
+     * @param {FileSystemDirectoryHandle} toDir
+     * @returns {Promise<FileSystemFileHandle>} Handle of the moved file
+     */
+    async moveFile(handle, fromDir, toDir) {
+        const file = await handle.getFile();
+        const target = await toDir.getFileHandle(handle.name, { create: true });
+        const writable = await target.createWritable();
+        await writable.write(file);
+        await writable.close();
+        await fromDir.removeEntry(handle.name);
+        return target;
+    }
+
+    /**
+     * Move an image and its label file to another split
+     * The split is created when it does not exist yet and the files keep their
+     * nested folder; nothing is moved if a file of the same name is already there
+     * @param {FileSystemFileHandle} imageHandle
+     * @param {FileSystemFileHandle|null} labelHandle
+     * @param {string|null} fromSplit
+     * @param {string} toSplit
+     * @param {string} folder - Nested folder path of the image
+     * @returns {Promise<{imageHandle: FileSystemFileHandle, labelHandle: FileSystemFileHandle|null}>}
+     * @throws {Error} If the files cannot be moved
+     */
+    async moveToSplit(imageHandle, labelHandle, fromSplit, toSplit, folder = '') {
+        if (this.isReadOnly) {
+            throw new Error('The dataset folder is read-only');
+        }
+
+        const imagesFrom = await this.findParentDir(imageHandle, [await this.getSplitImagesDir(fromSplit)]);
+        const labelsFrom = labelHandle && await this.findParentDir(labelHandle, [
+            fromSplit !== null ? await this.getSplitLabelsDir(fromSplit) : null,
+            this.labelsHandle,
+            this.vocHandle,
+            this.rootHandle
+        ]);
+        if (!imagesFrom || (labelHandle && !labelsFrom)) {
+            throw new Error(`Cannot find the folder of ${imageHandle.name}`);
+        }
+
+        const imagesTo = await this.getSubfolder(await this.getSplitImagesDir(toSplit, true), folder, true);
+        const labelsTo = await this.getSubfolder(await this.getSplitLabelsDir(toSplit, true), folder, true);
+        if (await this.hasFile(imagesTo, imageHandle.name) ||
+            (labelHandle && await this.hasFile(labelsTo, labelHandle.name))) {
+            throw new Error(`${imageHandle.name} already exists in ${toSplit}`);
+        }
+
+        const movedImage = await this.moveFile(imageHandle, imagesFrom, imagesTo);
+        if (!labelHandle) {
+            return { imageHandle: movedImage, labelHandle: null };
+        }
+
+        try {
+            const movedLabel = await this.moveFile(labelHandle, labelsFrom, labelsTo);
+            return { imageHandle: movedImage, labelHandle: movedLabel };
+        } catch (e) {
+            // Keep the image with its label
+            await this.moveFile(movedImage, imagesTo, imagesFrom);
+            throw e;
+        }
+    }
+
+    /**
+     * Remove files from the dataset, either by moving them into _removed/ (keeping
+     * their path below the root) or by deleting them
+     * Deleted files are kept in memory so the removal can be undone
+     * @param {Array<FileSystemFileHandle>} handles
+     * @param {'quarantine'|'delete'} mode
+     * @returns {Promise<Array<Object>>} One record per file; pass to restoreFiles() to undo
+     * @throws {Error} If a file cannot be removed (files removed before it are put back)
+     */
+    async removeFiles(handles, mode) {
+        if (this.isReadOnly || !this.rootHandle) {
+            throw new Error('The dataset folder is read-only');
+        }
+
+        // Locate every file first so a bad one stops the removal before anything changed
+        const records = [];
+        for (const handle of handles) {
+            const path = await this.rootHandle.resolve(handle);
+            if (!path) {
+                throw new Error(`${handle.name} is not inside the dataset folder`);
+            }
+            const folder = path.slice(0, -1).join('/');
+            const record = { name: handle.name, folder, handle, quarantined: null, data: null };
+            if (mode === 'quarantine') {
+                const quarantinePath = this.joinPath(QUARANTINE_FOLDER, folder);
+                const quarantine = await this.getSubfolder(this.rootHandle, quarantinePath, true);
+                if (await this.hasFile(quarantine, handle.name)) {
+                    throw new Error(`${quarantinePath}/${handle.name} already exists`);
+                }
+            }
+            records.push(record);
+        }
+
+        const done = [];
+        try {
+            for (const record of records) {
+                const dirHandle = await this.getSubfolder(this.rootHandle, record.folder);
+                if (mode === 'quarantine') {
+                    const quarantinePath = this.joinPath(QUARANTINE_FOLDER, record.folder);
+                    const target = await this.getSubfolder(this.rootHandle, quarantinePath);
+                    record.quarantined = await this.moveFile(record.handle, dirHandle, target);
+                } else {
+                    const file = await record.handle.getFile();
+                    record.data = new Blob([await file.arrayBuffer()], { type: file.type });
+                    await dirHandle.removeEntry(record.name);
+                }
+                record.handle = null;
+                done.push(record);
+            }
+        } catch (e) {
+            await this.restoreFiles(done).catch(console.error);
+            throw e;
+        }
+
+        return records;
+    }
+
+    /**
+     * Put files removed by removeFiles() back where they were
+     * @param {Array<Object>} records - From removeFiles()
+     * @returns {Promise<Array<FileSystemFileHandle>>} New handles, in record order
+     * @throws {Error} If a file of the same name has appeared in the meantime
+     */
+    async restoreFiles(records) {
+        for (const record of records) {
+            const dirHandle = await this.getSubfolder(this.rootHandle, record.folder, true);
+            if (await this.hasFile(dirHandle, record.name)) {
+                throw new Error(`${this.joinPath(record.folder, record.name)} exists again`);
+            }
+        }
+
+        const handles = [];
+        for (const record of records) {
+            const dirHandle = await this.getSubfolder(this.rootHandle, record.folder);
+            if (record.quarantined) {
+                const quarantinePath = this.joinPath(QUARANTINE_FOLDER, record.folder);
+                const quarantine = await this.getSubfolder(this.rootHandle, quarantinePath);
+                handles.push(await this.moveFile(record.quarantined, quarantine, dirHandle));
+            } else {
+                const handle = await dirHandle.getFileHandle(record.name, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(record.data);
+                await writable.close();
+                handles.push(handle);
+            }
+        }
+        return handles;
+    }
+
     /**
      * Download a file (fallback for when File System Access isn't available)
      * @param {string} filename
@@ -343,6 +1048,7 @@ export class FileManager {
         const images = [];
         const labels = new Map();
         this.isReadOnly = true;
+        this.configFiles = { yaml: null, names: null, coco: null };
 
         for (const item of items) {
             if (item.kind === 'file') {
@@ -353,19 +1059,23 @@ export class FileManager {
             }
         }
 
-        // Sort images by filename
-        images.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        // Sort by split, then by filename
+        images.sort((a, b) => this.compareImages(a, b));
 
         return { images, labels };
     }
 
     /**
      * Recursively scan a dropped directory
+     * Files under a split folder (train/, images/val/, ...) are tagged with that split,
+     * and files in other subfolders with their folder path below images/ or labels/
      * @param {FileSystemDirectoryEntry} entry
      * @param {Array} images
      * @param {Map} labels
+     * @param {string|null} split - Split of the files in this directory
+     * @param {string} folder - Nested folder path of this directory
      */
-    async scanDroppedDirectory(entry, images, labels) {
+    async scanDroppedDirectory(entry, images, labels, split = null, folder = '') {
         const imageExtensions = ['.jpg', '.jpeg', '.png', '.bmp', '.webp', '.gif'];
 
         const readEntries = (dirEntry) => {
@@ -397,9 +1107,15 @@ export class FileManager {
         for (const child of entries) {
             if (child.isDirectory) {
                 const name = child.name.toLowerCase();
-                // Recursively scan relevant directories
-                if (name === 'images' || name === 'labels' || name === 'train' || name === 'valid' || name === 'test') {
-                    await this.scanDroppedDirectory(child, images, labels);
+                if (this.isIgnoredFolder(child.name)) continue;
+
+                if (folder === '' && (name === 'images' || name === 'labels' || name === 'annotations' ||
+                    name === 'jpegimages')) {
+                    await this.scanDroppedDirectory(child, images, labels, split);
+                } else if (folder === '' && split === null && SPLIT_NAMES.includes(name)) {
+                    await this.scanDroppedDirectory(child, images, labels, child.name);
+                } else {
+                    await this.scanDroppedDirectory(child, images, labels, split, this.joinPath(folder, child.name));
                 }
             } else if (child.isFile) {
                 const ext = this.getExtension(child.name).toLowerCase();
@@ -407,12 +1123,15 @@ export class FileManager {
                     const file = await getFile(child);
                     images.push({
                         name: child.name,
-                        file: file
+                        file: file,
+                        split,
+                        folder
                     });
-                } else if (ext === '.txt') {
-                    const file = await getFile(child);
-                    const baseName = this.getBaseName(child.name);
-                    labels.set(baseName, file);
+                } else if (this.getConfigFileType(child.name)) {
+                    // Config files deep inside image folders are not the dataset's
+                    if (folder === '') this.noteConfigFile(child.name, await getFile(child));
+                } else if (this.getLabelType(child.name)) {
+                    this.noteLabelFile(child.name, await getFile(child), labels, split, folder);
                 }
             }
         }
@@ -463,6 +1182,9 @@ export class FileManager {
         this.rootHandle = null;
         this.imagesHandle = null;
         this.labelsHandle = null;
+        this.vocHandle = null;
+        this.splits = [];
+        this.configFiles = { yaml: null, names: null, coco: null };
         this.isReadOnly = false;
     }
 }
@@ -75,6 +75,14 @@ export class LRUCache {
         return false;
     }
 
+    /**
+     * Change the keys of all items, keeping their access order
+     * @param {function(string|number): (string|number)} mapKey - Old key -> new key
+     */
+    rekey(mapKey) {
+        this.cache = new Map([...this.cache].map(([key, value]) => [mapKey(key), value]));
+    }
+
     /**
      * Clear all items from the cache
      */
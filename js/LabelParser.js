@@ -1,22 +1,56 @@
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
 /**
  * YOLO Label Parser
  * Handles parsing and serialization of YOLO format label files
  * Format: class_id x_center y_center width height (all values normalized 0-1)
+ * Prediction format: any of the formats below followed by a confidence (`--save-conf`)
+ * Segmentation format: class_id x1 y1 x2 y2 ... xn yn (polygon, n >= 3)
+ * OBB format: class_id x1 y1 x2 y2 x3 y3 x4 y4 (rotated box corners)
+ * Pose format: class_id x_center y_center width height px1 py1 [v1] ... (keypoints)
  */
 export class LabelParser {
     /**
      * Parse YOLO label file content into box objects
+     * Invalid lines are skipped; use parseWithDiagnostics to find out which
      * @param {string} content - Raw file content
+     * @param {Object} options
+     * @param {string} options.format - 'auto', 'detect', 'segment', 'obb' or 'pose'; decides
+     *   whether 8-coordinate lines are OBB corners or 4-point polygons
+     * @param {Array<number>} options.kptShape - [keypoints, dims] from data.yaml kpt_shape
+     * @param {boolean} options.predictions - Lines may end in a confidence (prediction files)
      * @returns {Array<Object>} Array of box objects
      */
-    static parse(content) {
+    static parse(content, options = {}) {
+        return this.parseWithDiagnostics(content, options).boxes;
+    }
+
+    /**
+     * Parse YOLO label file content and report every rejected line
+     * @param {string} content - Raw file content
+     * @param {Object} options - Same as parse()
+     * @returns {{boxes: Array<Object>, diagnostics: Array<Object>, format: string}}
+     *   diagnostics: {lineIndex, lineNumber, raw, reason, repaired} where repaired is
+     *   the box repairLine() would produce, or null if it cannot fix the line
+     */
+    static parseWithDiagnostics(content, options = {}) {
         const boxes = [];
+        const diagnostics = [];
 
         if (!content || content.trim() === '') {
-            return boxes;
+            return { boxes, diagnostics, format: 'detect' };
         }
 
-        const lines = content.trim().split('\n');
+        // Keep blank lines so lineIndex matches the line in the file
+        const lines = content.split(/\r?\n/);
+
+        let format = options.format || 'auto';
+        if (format === 'auto') {
+            format = this.detectFormat(lines, options);
+        }
+        const lineOptions = { ...options, format };
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
@@ -26,40 +60,353 @@ export class LabelParser {
                 continue;
             }
 
-            const parts = line.split(/\s+/);
-
-            // YOLO format requires at least 5 values
-            if (parts.length >= 5) {
-                const classId = parseInt(parts[0], 10);
-                const xCenter = parseFloat(parts[1]);
-                const yCenter = parseFloat(parts[2]);
-                const width = parseFloat(parts[3]);
-                const height = parseFloat(parts[4]);
-
-                // Validate values
-                if (
-                    !isNaN(classId) && classId >= 0 &&
-                    !isNaN(xCenter) && xCenter >= 0 && xCenter <= 1 &&
-                    !isNaN(yCenter) && yCenter >= 0 && yCenter <= 1 &&
-                    !isNaN(width) && width > 0 && width <= 1 &&
-                    !isNaN(height) && height > 0 && height <= 1
-                ) {
-                    boxes.push({
-                        id: crypto.randomUUID(),
-                        classId,
-                        xCenter,
-                        yCenter,
-                        width,
-                        height,
-                        deleted: false,
-                        selected: false,
-                        lineIndex: i  // Track original line for reference
-                    });
-                }
+            const result = this.parseLine(line, i, lineOptions);
+            if (result.box) {
+                boxes.push(result.box);
+            } else {
+                diagnostics.push({
+                    lineIndex: i,
+                    lineNumber: i + 1,
+                    raw: line,
+                    reason: result.reason,
+                    // Predictions are only shown, never written back
+                    repaired: options.predictions ? null : this.repairLine(line, lineOptions)
+                });
+            }
+        }
+
+        return { boxes, diagnostics, format };
+    }
+
+    /**
+     * Parse a single non-empty label line
+     * @param {string} line - Trimmed line
+     * @param {number|null} lineIndex - Original line in the label file
+     * @param {Object} options - {format (resolved, not 'auto'), kptShape, predictions}
+     * @returns {{box: Object|null, reason: string|null}}
+     */
+    static parseLine(line, lineIndex, options = {}) {
+        const parts = line.split(/\s+/);
+        const reject = reason => ({ box: null, reason });
+
+        if (options.predictions && this.hasConfidence(parts.length, options)) {
+            const confidence = parseFloat(parts[parts.length - 1]);
+            if (isNaN(confidence)) {
+                return reject(`Non-numeric confidence "${parts[parts.length - 1]}"`);
+            }
+            const result = this.parseLine(parts.slice(0, -1).join(' '), lineIndex, { ...options, predictions: false });
+            if (result.box) result.box.confidence = confidence;
+            return result;
+        }
+
+        // YOLO format requires at least 5 values
+        if (parts.length < 5) {
+            return reject(`Expected at least 5 values, found ${parts.length}`);
+        }
+
+        const classId = parseInt(parts[0], 10);
+        if (isNaN(classId) || classId < 0) {
+            return reject(`Invalid class id "${parts[0]}"`);
+        }
+
+        const values = parts.slice(1).map(v => parseFloat(v));
+        const nanIndex = values.findIndex(v => isNaN(v));
+        if (nanIndex >= 0) {
+            return reject(`Non-numeric value "${parts[nanIndex + 1]}"`);
+        }
+
+        const kptDims = this.getKeypointDims(parts.length, options.format, options.kptShape);
+
+        // Segmentation polygon or OBB: class id plus an even number of coords (3+ points)
+        if (!kptDims && parts.length >= 7 && (parts.length - 1) % 2 === 0) {
+            if (!values.every(v => v >= 0 && v <= 1)) {
+                return reject('Coordinate outside [0, 1]');
+            }
+            const type = parts.length === 9 && options.format !== 'segment' ? 'obb' : 'polygon';
+            return { box: this.createPolygonBox(classId, values, lineIndex, type), reason: null };
+        }
+
+        // Anything longer than a plain box must be pose; confidences belong in prediction files only
+        if (!kptDims && parts.length === 6) {
+            return reject('Unexpected 6th value (a confidence is only allowed in prediction files)');
+        }
+        if (!kptDims && parts.length > 6) {
+            return reject(`Unexpected number of values (${parts.length})`);
+        }
+
+        const [xCenter, yCenter, width, height] = values;
+
+        // Validate values
+        if (
+            xCenter < 0 || xCenter > 1 ||
+            yCenter < 0 || yCenter > 1 ||
+            width > 1 || height > 1
+        ) {
+            return reject('Coordinate outside [0, 1]');
+        }
+        if (width <= 0 || height <= 0) {
+            return reject('Width and height must be greater than 0');
+        }
+
+        const box = {
+            id: crypto.randomUUID(),
+            type: 'bbox',
+            classId,
+            xCenter,
+            yCenter,
+            width,
+            height,
+            deleted: false,
+            selected: false,
+            lineIndex  // Track original line for reference
+        };
+
+        if (kptDims) {
+            const keypoints = this.parseKeypoints(parts.slice(5), kptDims);
+            if (!keypoints) {
+                return reject('Invalid keypoint (outside [0, 1] or bad visibility)');
+            }
+            box.keypoints = keypoints;
+            box.kptDims = kptDims;
+        }
+
+        return { box, reason: null };
+    }
+
+    /**
+     * Try to fix a rejected line by clamping its coordinates to [0, 1]
+     * Boxes are clamped by their corners so they stay inside the image, and lose a
+     * confidence value left on them
+     * @param {string} line - Raw line
+     * @param {Object} options - {format (resolved, not 'auto'), kptShape}
+     * @returns {Object|null} Repaired box, or null if clamping cannot fix the line
+     */
+    static repairLine(line, options = {}) {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length < 5) return null;
+
+        const values = parts.slice(1).map(v => parseFloat(v));
+        if (values.some(v => isNaN(v))) return null;
+
+        const kptDims = this.getKeypointDims(parts.length, options.format, options.kptShape);
+        let fixed;
+
+        if (!kptDims && parts.length >= 7 && (parts.length - 1) % 2 === 0) {
+            fixed = values.map(clamp01);
+        } else {
+            const [xc, yc, w, h] = values;
+            const x1 = clamp01(xc - w / 2);
+            const y1 = clamp01(yc - h / 2);
+            const x2 = clamp01(xc + w / 2);
+            const y2 = clamp01(yc + h / 2);
+            // Keep visibility flags as they are; a stray 6th value (confidence) is dropped
+            const rest = kptDims
+                ? values.slice(4).map((v, j) => (kptDims === 3 && j % 3 === 2 ? v : clamp01(v)))
+                : values.slice(4, parts.length === 6 ? 4 : undefined);
+            fixed = [(x1 + x2) / 2, (y1 + y2) / 2, x2 - x1, y2 - y1, ...rest];
+        }
+
+        const result = this.parseLine([parts[0], ...fixed.map(String)].join(' '), null, options);
+        return result.box;
+    }
+
+    /**
+     * Work out whether a prediction line ends in a confidence
+     * It does when the line is one value longer than a label line of the dataset's format:
+     * labels of pose datasets match kpt_shape (or the 3-value layout), other labels have an
+     * odd token count (5 for boxes, 1 + 2n for polygons and OBB)
+     * @param {number} count - Number of tokens on the line
+     * @param {Object} options - {format, kptShape}
+     * @returns {boolean}
+     */
+    static hasConfidence(count, options = {}) {
+        if (count === 6) return true;
+        const hasKptShape = Array.isArray(options.kptShape) && options.kptShape.length >= 2;
+        if (hasKptShape || options.format === 'pose') {
+            return this.getKeypointDims(count - 1, options.format, options.kptShape) !== null;
+        }
+        return count >= 8 && count % 2 === 0;
+    }
+
+    /**
+     * Work out whether a line carries pose keypoints after its box
+     * Without a kpt_shape only the 3-value (x y visibility) layout can be told
+     * apart from polygons, because those lines have an even token count
+     * @param {number} count - Number of tokens on the line
+     * @param {string} format - Resolved file format
+     * @param {Array<number>} kptShape - [keypoints, dims] or undefined
+     * @returns {number|null} Values per keypoint (2 or 3), or null if not a pose line
+     */
+    static getKeypointDims(count, format, kptShape) {
+        if (Array.isArray(kptShape) && kptShape.length >= 2) {
+            const [numKeypoints, dims] = kptShape;
+            return (dims === 2 || dims === 3) && numKeypoints > 0 && count === 5 + numKeypoints * dims
+                ? dims
+                : null;
+        }
+
+        if (format === 'segment' || format === 'obb') return null;
+        if (count > 6 && count % 2 === 0 && (count - 5) % 3 === 0) return 3;
+        return null;
+    }
+
+    /**
+     * Parse keypoint values that follow a pose box
+     * @param {Array<string>} values - Tokens after the box
+     * @param {number} dims - 2 (x y) or 3 (x y visibility)
+     * @returns {Array<{x: number, y: number, v: number|null}>|null} Null if any value is invalid
+     */
+    static parseKeypoints(values, dims) {
+        const keypoints = [];
+
+        for (let j = 0; j + dims <= values.length; j += dims) {
+            const x = parseFloat(values[j]);
+            const y = parseFloat(values[j + 1]);
+            const v = dims === 3 ? parseFloat(values[j + 2]) : null;
+
+            if (isNaN(x) || x < 0 || x > 1 || isNaN(y) || y < 0 || y > 1) {
+                return null;
+            }
+            if (dims === 3 && v !== 0 && v !== 1 && v !== 2) {
+                return null;
+            }
+
+            keypoints.push({ x, y, v });
+        }
+
+        return keypoints;
+    }
+
+    /**
+     * Check if a keypoint is labeled (visibility 0 means "not labeled")
+     * @param {Object} keypoint - {x, y, v}
+     * @returns {boolean}
+     */
+    static isKeypointLabeled(keypoint) {
+        if (keypoint.v === 0) return false;
+        // 2-value keypoints mark missing points as 0 0
+        return !(keypoint.v === null && keypoint.x === 0 && keypoint.y === 0);
+    }
+
+    /**
+     * Guess the label format of a file from its line lengths
+     * 8-coordinate lines are ambiguous (OBB or 4-point polygon); they are
+     * treated as polygons only when the file also has polygons of other sizes
+     * @param {Array<string>} lines - Raw lines of the label file
+     * @param {Object} options - {kptShape, predictions}; confidences do not count as coordinates
+     * @returns {string} 'detect', 'segment' or 'obb'
+     */
+    static detectFormat(lines, options = {}) {
+        let hasObbLength = false;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            let count = line.split(/\s+/).length;
+            if (options.predictions && this.hasConfidence(count, options)) count--;
+            if (count === 9) {
+                hasObbLength = true;
+            } else if (count >= 7 && (count - 1) % 2 === 0) {
+                return 'segment';
             }
         }
 
-        return boxes;
+        return hasObbLength ? 'obb' : 'detect';
+    }
+
+    /**
+     * Create a polygon (or OBB) box from flat normalized coordinates
+     * The bounding box fields hold the shape's extent so box-based code keeps working
+     * @param {number} classId
+     * @param {Array<number>} coords - [x1, y1, x2, y2, ...]
+     * @param {number|null} lineIndex - Original line in the label file
+     * @param {string} type - 'polygon' or 'obb' (4 corners)
+     * @returns {Object} Box object
+     */
+    static createPolygonBox(classId, coords, lineIndex = null, type = 'polygon') {
+        const points = [];
+        for (let j = 0; j + 1 < coords.length; j += 2) {
+            points.push({ x: coords[j], y: coords[j + 1] });
+        }
+
+        return {
+            id: crypto.randomUUID(),
+            type,
+            classId,
+            ...this.getPointsBounds(points),
+            points,
+            deleted: false,
+            selected: false,
+            lineIndex
+        };
+    }
+
+    /**
+     * Get the bounding box of a list of points
+     * @param {Array<{x: number, y: number}>} points
+     * @returns {Object} {xCenter, yCenter, width, height}
+     */
+    static getPointsBounds(points) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const p of points) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+
+        return {
+            xCenter: (minX + maxX) / 2,
+            yCenter: (minY + maxY) / 2,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    }
+
+    /**
+     * Move/resize a box to new normalized bounds
+     * Polygon points and keypoints are scaled along with the bounding box
+     * An OBB is only moved: scaling x and y apart would skew its rectangle
+     * @param {Object} box - Box to update in place
+     * @param {Object} bounds - {xCenter, yCenter, width, height}
+     */
+    static setBounds(box, bounds) {
+        if (box.type === 'obb') {
+            bounds = { ...bounds, width: box.width, height: box.height };
+        }
+
+        const oldX = box.xCenter - box.width / 2;
+        const oldY = box.yCenter - box.height / 2;
+        const newX = bounds.xCenter - bounds.width / 2;
+        const newY = bounds.yCenter - bounds.height / 2;
+        const sx = box.width > 0 ? bounds.width / box.width : 0;
+        const sy = box.height > 0 ? bounds.height / box.height : 0;
+
+        if (box.points) {
+            box.points = box.points.map(p => ({
+                x: newX + (p.x - oldX) * sx,
+                y: newY + (p.y - oldY) * sy
+            }));
+        }
+
+        if (box.keypoints) {
+            // Unlabeled keypoints keep their placeholder coords
+            box.keypoints = box.keypoints.map(k => (
+                this.isKeypointLabeled(k)
+                    ? {
+                        x: clamp01(newX + (k.x - oldX) * sx),
+                        y: clamp01(newY + (k.y - oldY) * sy),
+                        v: k.v
+                    }
+                    : { ...k }
+            ));
+        }
+
+        box.xCenter = bounds.xCenter;
+        box.yCenter = bounds.yCenter;
+        box.width = bounds.width;
+        box.height = bounds.height;
     }
 
     /**
@@ -70,17 +417,138 @@ export class LabelParser {
     static serialize(boxes) {
         return boxes
             .filter(box => !box.deleted)
-            .map(box => {
-                // Use 6 decimal places for precision (standard for YOLO)
-                const xc = box.xCenter.toFixed(6);
-                const yc = box.yCenter.toFixed(6);
-                const w = box.width.toFixed(6);
-                const h = box.height.toFixed(6);
-                return `${box.classId} ${xc} ${yc} ${w} ${h}`;
-            })
+            .map(box => this.serializeBox(box))
             .join('\n');
     }
 
+    /**
+     * Serialize a single box to one YOLO label line
+     * @param {Object} box
+     * @returns {string}
+     */
+    static serializeBox(box) {
+        // Polygons and OBBs are written as their corner coordinates
+        if (box.points) {
+            const coords = box.points
+                .map(p => `${p.x.toFixed(6)} ${p.y.toFixed(6)}`)
+                .join(' ');
+            return `${box.classId} ${coords}`;
+        }
+
+        // Use 6 decimal places for precision (standard for YOLO)
+        const xc = box.xCenter.toFixed(6);
+        const yc = box.yCenter.toFixed(6);
+        const w = box.width.toFixed(6);
+        const h = box.height.toFixed(6);
+        const line = `${box.classId} ${xc} ${yc} ${w} ${h}`;
+
+        if (box.keypoints) {
+            const kpts = box.keypoints
+                .map(k => (
+                    box.kptDims === 3
+                        ? `${k.x.toFixed(6)} ${k.y.toFixed(6)} ${k.v}`
+                        : `${k.x.toFixed(6)} ${k.y.toFixed(6)}`
+                ))
+                .join(' ');
+            return `${line} ${kpts}`;
+        }
+
+        return line;
+    }
+
+    /**
+     * Serialize boxes as an edit of the original file content
+     * Untouched lines, comments and blank lines are kept byte-for-byte; edited
+     * boxes replace their own line, removed boxes drop theirs, and new boxes
+     * are appended at the end
+     * @param {Array<Object>} boxes - Boxes to write (deleted ones are skipped)
+     * @param {string} originalContent - File content the boxes were parsed from
+     * @param {Object} options - Parser options used when loading (see parse())
+     * @param {Set<number>} keptLines - lineIndex of rejected lines to write back unchanged
+     * @returns {{content: string, boxLines: Map<string, number>}} New content and
+     *   the line each written box ended up on
+     */
+    static serializePreserving(boxes, originalContent, options = {}, keptLines = new Set()) {
+        const eol = originalContent.includes('\r\n') ? '\r\n' : '\n';
+        const lines = originalContent ? originalContent.split(/\r?\n/) : [];
+        const hasTrailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+        if (hasTrailingNewline) lines.pop();
+
+        const original = this.parseWithDiagnostics(originalContent, options);
+        const originalByLine = new Map(original.boxes.map(b => [b.lineIndex, b]));
+        const rejectedLines = new Set(original.diagnostics.map(d => d.lineIndex));
+
+        // Each original box line can be claimed by one box; the rest are new
+        const boxByLine = new Map();
+        const appended = [];
+        for (const box of boxes) {
+            if (box.deleted) continue;
+            const lineIndex = box.lineIndex;
+            const ownsLine = lineIndex != null &&
+                (originalByLine.has(lineIndex) || rejectedLines.has(lineIndex)) &&
+                !boxByLine.has(lineIndex);
+            if (ownsLine) {
+                boxByLine.set(lineIndex, box);
+            } else {
+                appended.push(box);
+            }
+        }
+
+        const output = [];
+        const boxLines = new Map();
+        const writeBox = (box, line) => {
+            boxLines.set(box.id, output.length);
+            output.push(line);
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const box = boxByLine.get(i);
+            if (box) {
+                writeBox(box, this.updateLine(lines[i], box, originalByLine.get(i)));
+            } else if (originalByLine.has(i)) {
+                // Box was removed
+                continue;
+            } else if (rejectedLines.has(i)) {
+                if (keptLines.has(i)) output.push(lines[i]);
+            } else {
+                // Comments and blank lines
+                output.push(lines[i]);
+            }
+        }
+
+        for (const box of appended) {
+            writeBox(box, this.serializeBox(box));
+        }
+
+        let content = output.join(eol);
+        if (content && hasTrailingNewline) {
+            content += eol;
+        }
+
+        return { content, boxLines };
+    }
+
+    /**
+     * Rewrite an original label line for an edited box with as little change as possible
+     * @param {string} raw - Original line
+     * @param {Object} box - Box as it is now
+     * @param {Object|undefined} original - Box parsed from raw (undefined for rejected lines)
+     * @returns {string}
+     */
+    static updateLine(raw, box, original) {
+        if (!original) return this.serializeBox(box);
+
+        const sameGeometry = this.boxesEqual(
+            { ...box, classId: original.classId, deleted: false },
+            original
+        );
+        if (!sameGeometry) return this.serializeBox(box);
+        if (box.classId === original.classId) return raw;
+
+        // Only the class changed: swap the first token, keep coordinates as written
+        return raw.replace(/^(\s*)\S+/, `$1${box.classId}`);
+    }
+
     /**
      * Convert normalized YOLO coordinates to pixel coordinates
      * @param {Object} box - Box object with normalized coords
@@ -214,13 +682,166 @@ export class LabelParser {
         );
     }
 
+    /**
+     * Check if a point is inside a polygon (ray casting)
+     * @param {number} px - Point X
+     * @param {number} py - Point Y
+     * @param {Array<{x: number, y: number}>} points - Polygon vertices in the same units
+     * @returns {boolean}
+     */
+    static pointInPolygon(px, py, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if (
+                (a.y > py) !== (b.y > py) &&
+                px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x
+            ) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check if a polygon overlaps a rectangle
+     * Used for rubber-band selection of polygons and rotated boxes
+     * @param {Array<{x: number, y: number}>} points - Polygon vertices
+     * @param {Object} rect - {x, y, w, h} or {x1, y1, x2, y2} in the same units
+     * @returns {boolean}
+     */
+    static polygonIntersectsRect(points, rect) {
+        const x1 = rect.x1 ?? rect.x;
+        const y1 = rect.y1 ?? rect.y;
+        const x2 = rect.x2 ?? (rect.x + rect.w);
+        const y2 = rect.y2 ?? (rect.y + rect.h);
+
+        // Any vertex inside the rectangle
+        if (points.some(p => p.x >= x1 && p.x <= x2 && p.y >= y1 && p.y <= y2)) {
+            return true;
+        }
+
+        // Rectangle fully inside the polygon
+        if (this.pointInPolygon(x1, y1, points)) {
+            return true;
+        }
+
+        // Any polygon edge crossing a rectangle edge
+        const rectEdges = [
+            [{ x: x1, y: y1 }, { x: x2, y: y1 }],
+            [{ x: x2, y: y1 }, { x: x2, y: y2 }],
+            [{ x: x2, y: y2 }, { x: x1, y: y2 }],
+            [{ x: x1, y: y2 }, { x: x1, y: y1 }]
+        ];
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            for (const [a, b] of rectEdges) {
+                if (this.segmentsIntersect(points[j], points[i], a, b)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if two line segments intersect
+     * @param {{x: number, y: number}} p1 - Segment A start
+     * @param {{x: number, y: number}} p2 - Segment A end
+     * @param {{x: number, y: number}} q1 - Segment B start
+     * @param {{x: number, y: number}} q2 - Segment B end
+     * @returns {boolean}
+     */
+    static segmentsIntersect(p1, p2, q1, q2) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const d1 = cross(q1, q2, p1);
+        const d2 = cross(q1, q2, p2);
+        const d3 = cross(p1, p2, q1);
+        const d4 = cross(p1, p2, q2);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    }
+
+    /**
+     * Get a shape's points in pixel coordinates
+     * @param {Object} box - Box with normalized points
+     * @param {number} imageWidth
+     * @param {number} imageHeight
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getPixelPoints(box, imageWidth, imageHeight) {
+        return (box.points || []).map(p => ({
+            x: p.x * imageWidth,
+            y: p.y * imageHeight
+        }));
+    }
+
+    /**
+     * Check if a pixel point hits a box's shape
+     * Polygons and OBBs are tested against their outline, boxes against their rectangle
+     * @param {number} px - Point X in pixels
+     * @param {number} py - Point Y in pixels
+     * @param {Object} box - Box with normalized coords
+     * @param {number} imageWidth
+     * @param {number} imageHeight
+     * @returns {boolean}
+     */
+    static hitTest(px, py, box, imageWidth, imageHeight) {
+        if (!this.pointInBox(px, py, box, imageWidth, imageHeight)) {
+            return false;
+        }
+        if (!box.points) {
+            return true;
+        }
+        return this.pointInPolygon(px, py, this.getPixelPoints(box, imageWidth, imageHeight));
+    }
+
+    /**
+     * Check if two boxes have the same class and geometry
+     * Selection state is ignored
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    static boxesEqual(a, b) {
+        return (
+            a.classId === b.classId &&
+            a.xCenter === b.xCenter &&
+            a.yCenter === b.yCenter &&
+            a.width === b.width &&
+            a.height === b.height &&
+            a.deleted === b.deleted &&
+            this.pointsEqual(a.points, b.points) &&
+            this.pointsEqual(a.keypoints, b.keypoints)
+        );
+    }
+
+    /**
+     * Check if two point lists are identical
+     * @param {Array|undefined} a
+     * @param {Array|undefined} b
+     * @returns {boolean}
+     */
+    static pointsEqual(a, b) {
+        if (!a || !b) return a === b;
+        if (a.length !== b.length) return false;
+        return a.every((p, i) => p.x === b[i].x && p.y === b[i].y && p.v === b[i].v);
+    }
+
     /**
      * Deep clone a box object
      * @param {Object} box
      * @returns {Object}
      */
     static cloneBox(box) {
-        return { ...box };
+        const clone = { ...box };
+        if (box.points) {
+            clone.points = box.points.map(p => ({ ...p }));
+        }
+        if (box.keypoints) {
+            clone.keypoints = box.keypoints.map(k => ({ ...k }));
+        }
+        return clone;
     }
 
     /**
@@ -0,0 +1,100 @@
+/**
+ * Split Generator
+ * Assigns images to dataset splits in chosen proportions, stratified by the
+ * classes each image contains: images are placed rarest class first, each in
+ * the split that is furthest below its share of that class
+ */
+export class SplitGenerator {
+    /**
+     * Assign images to splits
+     * @param {Array<{index: number, classIds: Set<number>}>} images - Classes present per image
+     * @param {Array<{name: string, fraction: number}>} splits - Fractions are relative to their sum
+     * @param {number} seed - Seed of the shuffle that decides between equal candidates
+     * @returns {Map<number, string>} Image index -> split name
+     */
+    static assign(images, splits, seed = 0) {
+        const result = new Map();
+        const total = splits.reduce((sum, s) => sum + Math.max(0, s.fraction), 0);
+        if (total <= 0) return result;
+        const fractions = splits.map(s => Math.max(0, s.fraction) / total);
+
+        const imagesPerClass = new Map();
+        for (const image of images) {
+            for (const classId of image.classIds) {
+                imagesPerClass.set(classId, (imagesPerClass.get(classId) || 0) + 1);
+            }
+        }
+
+        // Images each split still needs, overall and per class
+        const wanted = fractions.map(f => f * images.length);
+        const wantedByClass = fractions.map(f => new Map(
+            [...imagesPerClass].map(([classId, count]) => [classId, f * count])
+        ));
+
+        const rarestClass = (image) => {
+            let rarest = null;
+            for (const classId of image.classIds) {
+                if (rarest === null || imagesPerClass.get(classId) < imagesPerClass.get(rarest)) {
+                    rarest = classId;
+                }
+            }
+            return rarest;
+        };
+
+        // Rare classes go first, while every split still has room for them; unlabelled images last
+        const ordered = this.shuffle(images, seed)
+            .map(image => ({ image, rarest: rarestClass(image) }))
+            .sort((a, b) => (
+                (a.rarest === null ? Infinity : imagesPerClass.get(a.rarest)) -
+                (b.rarest === null ? Infinity : imagesPerClass.get(b.rarest))
+            ));
+
+        for (const { image, rarest } of ordered) {
+            let best = -1;
+            for (let s = 0; s < splits.length; s++) {
+                if (fractions[s] === 0) continue;
+                if (best < 0) {
+                    best = s;
+                    continue;
+                }
+                const need = rarest === null ? wanted[s] : wantedByClass[s].get(rarest);
+                const bestNeed = rarest === null ? wanted[best] : wantedByClass[best].get(rarest);
+                if (need > bestNeed || (need === bestNeed && wanted[s] > wanted[best])) {
+                    best = s;
+                }
+            }
+
+            result.set(image.index, splits[best].name);
+            wanted[best]--;
+            for (const classId of image.classIds) {
+                wantedByClass[best].set(classId, wantedByClass[best].get(classId) - 1);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Shuffle a copy of an array with a seeded generator (mulberry32)
+     * @param {Array} items
+     * @param {number} seed
+     * @returns {Array}
+     */
+    static shuffle(items, seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
@@ -10,7 +10,7 @@ export class StateManager {
         this.currentIndex = -1;
 
         // Per-image state storage
-        // Map<index, { boxes, originalBoxes, undoStack, redoStack }>
+        // Map<index, { boxes, originalBoxes, rejectedLines, undoStack, redoStack }>
         this.imageStates = new Map();
 
         // Global modification tracking
@@ -21,23 +21,73 @@ export class StateManager {
     }
 
     /**
-     * Initialize state for an image
+     * Initialize state for an image and make it the current image
      * @param {number} index
      * @param {Array} boxes
+     * @param {Array} diagnostics - Lines the parser rejected (see LabelParser.parseWithDiagnostics)
      */
-    initImageState(index, boxes) {
-        if (!this.imageStates.has(index)) {
-            const clonedBoxes = LabelParser.cloneBoxes(boxes);
-            this.imageStates.set(index, {
-                boxes: clonedBoxes,
-                originalBoxes: LabelParser.cloneBoxes(boxes),
-                undoStack: [],
-                redoStack: []
-            });
-        }
+    initImageState(index, boxes, diagnostics = []) {
+        this.ensureImageState(index, boxes, diagnostics);
         this.currentIndex = index;
     }
 
+    /**
+     * Create the state of an image if it has none, without switching to it
+     * @param {number} index
+     * @param {Array} boxes
+     * @param {Array} diagnostics - See initImageState()
+     */
+    ensureImageState(index, boxes, diagnostics = []) {
+        if (this.imageStates.has(index)) return;
+
+        this.imageStates.set(index, {
+            boxes: LabelParser.cloneBoxes(boxes),
+            originalBoxes: LabelParser.cloneBoxes(boxes),
+            // resolution: null (unresolved, kept on save), 'keep', 'drop' or 'clamp'
+            rejectedLines: diagnostics.map(d => ({ ...d, resolution: null, boxId: null })),
+            undoStack: [],
+            redoStack: []
+        });
+    }
+
+    /**
+     * Take out the state of an image that is removed from the dataset
+     * The states of later images move down one index with them
+     * @param {number} index
+     * @returns {{state: Object|undefined, modified: boolean}} Pass to insertImageState() to put it back
+     */
+    removeImageState(index) {
+        const removed = { state: this.imageStates.get(index), modified: this.globalModified.has(index) };
+        this.imageStates.delete(index);
+        this.globalModified.delete(index);
+        if (this.currentIndex === index) this.currentIndex = -1;
+        this.shiftIndices(index + 1, -1);
+        return removed;
+    }
+
+    /**
+     * Put a state taken out by removeImageState() back at an index
+     * @param {number} index
+     * @param {{state: Object|undefined, modified: boolean}} removed
+     */
+    insertImageState(index, removed) {
+        this.shiftIndices(index, 1);
+        if (removed.state) this.imageStates.set(index, removed.state);
+        if (removed.modified) this.globalModified.add(index);
+    }
+
+    /**
+     * Move the states of the images from an index on by some positions
+     * @param {number} from - First index to move
+     * @param {number} delta
+     */
+    shiftIndices(from, delta) {
+        const shift = index => (index >= from ? index + delta : index);
+        this.imageStates = new Map([...this.imageStates].map(([index, state]) => [shift(index), state]));
+        this.globalModified = new Set([...this.globalModified].map(shift));
+        if (this.currentIndex >= 0) this.currentIndex = shift(this.currentIndex);
+    }
+
     /**
      * Set the current image index
      * @param {number} index
@@ -68,7 +118,7 @@ export class StateManager {
 
     /**
      * Record an action for undo
-     * @param {string} type - Action type ('delete', 'restore', etc.)
+     * @param {string} type - Action type ('create', 'delete', 'restore', 'transform', 'reclass', 'keypoint', 'resolve', etc.)
      * @param {Array} affectedBoxes - Boxes affected by this action
      * @param {Object} extraData - Any additional data needed to undo
      */
@@ -107,7 +157,13 @@ export class StateManager {
         const action = state.undoStack.pop();
 
         // Reverse the action
-        if (action.type === 'delete') {
+        if (action.type === 'resolve') {
+            this.applyResolution(state, action.lineIndex, action.previous, action.removedBoxes, action.boxes);
+        } else if (action.type === 'create') {
+            // Remove created boxes
+            const ids = new Set(action.boxes.map(b => b.id));
+            state.boxes = state.boxes.filter(b => !ids.has(b.id));
+        } else if (action.type === 'delete') {
             // Restore deleted boxes
             for (const savedBox of action.boxes) {
                 const box = state.boxes.find(b => b.id === savedBox.id);
@@ -116,6 +172,9 @@ export class StateManager {
                     box.selected = false;
                 }
             }
+        } else if (action.type === 'transform' || action.type === 'reclass' || action.type === 'keypoint') {
+            // Put boxes back the way they were
+            this.applySnapshots(state, action.boxes);
         } else if (action.type === 'restore') {
             // Re-delete restored boxes
             for (const savedBox of action.boxes) {
@@ -146,7 +205,14 @@ export class StateManager {
         const action = state.redoStack.pop();
 
         // Re-apply the action
-        if (action.type === 'delete') {
+        if (action.type === 'resolve') {
+            this.applyResolution(state, action.lineIndex, action.resolution, action.boxes, action.removedBoxes);
+        } else if (action.type === 'create') {
+            // Add created boxes back
+            for (const savedBox of action.boxes) {
+                state.boxes.push(LabelParser.cloneBox(savedBox));
+            }
+        } else if (action.type === 'delete') {
             // Re-delete boxes
             for (const savedBox of action.boxes) {
                 const box = state.boxes.find(b => b.id === savedBox.id);
@@ -155,6 +221,9 @@ export class StateManager {
                     box.selected = false;
                 }
             }
+        } else if (action.type === 'transform' || action.type === 'reclass' || action.type === 'keypoint') {
+            // Re-apply the changed geometry/class/keypoints
+            this.applySnapshots(state, action.after);
         } else if (action.type === 'restore') {
             // Restore boxes again
             for (const savedBox of action.boxes) {
@@ -172,6 +241,45 @@ export class StateManager {
         return true;
     }
 
+    /**
+     * Overwrite boxes with saved snapshots (matched by id)
+     * Selection state of the live boxes is kept
+     * @param {Object} state - Image state
+     * @param {Array} snapshots - Saved box clones
+     */
+    applySnapshots(state, snapshots) {
+        for (const savedBox of snapshots) {
+            const box = state.boxes.find(b => b.id === savedBox.id);
+            if (box) {
+                const selected = box.selected;
+                Object.assign(box, LabelParser.cloneBox(savedBox));
+                box.selected = selected;
+            }
+        }
+    }
+
+    /**
+     * Set a rejected line's resolution and swap its repaired box
+     * @param {Object} state - Image state
+     * @param {number} lineIndex - Line the resolution applies to
+     * @param {string|null} resolution - Resolution to set
+     * @param {Array} addBoxes - Repaired box to add (for 'clamp')
+     * @param {Array} removeBoxes - Repaired box to remove (when leaving 'clamp')
+     */
+    applyResolution(state, lineIndex, resolution, addBoxes, removeBoxes) {
+        const rejected = state.rejectedLines.find(r => r.lineIndex === lineIndex);
+        if (!rejected) return;
+
+        const removeIds = new Set(removeBoxes.map(b => b.id));
+        state.boxes = state.boxes.filter(b => !removeIds.has(b.id));
+        for (const savedBox of addBoxes) {
+            state.boxes.push(LabelParser.cloneBox(savedBox));
+        }
+
+        rejected.resolution = resolution;
+        rejected.boxId = addBoxes[0]?.id ?? null;
+    }
+
     /**
      * Check if undo is available
      * @returns {boolean}
@@ -190,6 +298,226 @@ export class StateManager {
         return state ? state.redoStack.length > 0 : false;
     }
 
+    /**
+     * Add a new box to the current image
+     * @param {Object} box - Box object with normalized coords
+     * @returns {Object|null} The added box
+     */
+    addBox(box) {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return null;
+
+        const added = LabelParser.cloneBox(box);
+        added.deleted = false;
+        added.selected = false;
+
+        state.boxes.push(added);
+
+        // Record for undo
+        this.recordAction('create', [added]);
+
+        this.markModified();
+        return added;
+    }
+
+    /**
+     * Record a move/resize of boxes that has already been applied
+     * @param {Array} beforeBoxes - Clones of the boxes before the transform
+     * @returns {boolean} True if anything actually changed
+     */
+    commitTransform(beforeBoxes) {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return false;
+
+        const afterBoxes = [];
+        for (const before of beforeBoxes) {
+            const box = state.boxes.find(b => b.id === before.id);
+            if (box && !LabelParser.boxesEqual(box, before)) {
+                afterBoxes.push(box);
+            }
+        }
+
+        if (afterBoxes.length === 0) return false;
+
+        const changedIds = new Set(afterBoxes.map(b => b.id));
+        this.recordAction(
+            'transform',
+            beforeBoxes.filter(b => changedIds.has(b.id)),
+            { after: afterBoxes.map(b => LabelParser.cloneBox(b)) }
+        );
+
+        this.updateModifiedState();
+        return true;
+    }
+
+    /**
+     * Change the class of all selected boxes
+     * @param {number} classId
+     * @returns {number} Number of boxes changed
+     */
+    setSelectedClass(classId) {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return 0;
+
+        const toChange = state.boxes.filter(b => b.selected && !b.deleted && b.classId !== classId);
+
+        if (toChange.length === 0) return 0;
+
+        const before = toChange.map(b => LabelParser.cloneBox(b));
+        for (const box of toChange) {
+            box.classId = classId;
+        }
+
+        // Record for undo
+        this.recordAction('reclass', before, {
+            after: toChange.map(b => LabelParser.cloneBox(b))
+        });
+
+        this.updateModifiedState();
+        return toChange.length;
+    }
+
+    /**
+     * Change or delete the classes of any image's boxes, as a single undo step of that image
+     * @param {number} index
+     * @param {Map<number, number|null>} mapping - Old class id -> new class id, or null to delete its boxes
+     * @returns {{reclassed: number, deleted: number}}
+     */
+    remapClassesAt(index, mapping) {
+        const result = { reclassed: 0, deleted: 0 };
+        const state = this.imageStates.get(index);
+        if (!state) return result;
+
+        const toChange = state.boxes.filter(b => (
+            !b.deleted && mapping.has(b.classId) && mapping.get(b.classId) !== b.classId
+        ));
+        if (toChange.length === 0) return result;
+
+        const before = toChange.map(b => LabelParser.cloneBox(b));
+        for (const box of toChange) {
+            const target = mapping.get(box.classId);
+            if (target === null) {
+                box.deleted = true;
+                box.selected = false;
+                result.deleted++;
+            } else {
+                box.classId = target;
+                result.reclassed++;
+            }
+        }
+
+        // Snapshots include the deleted flag, so one reclass action undoes both
+        const prevIndex = this.currentIndex;
+        this.currentIndex = index;
+        this.recordAction('reclass', before, {
+            after: toChange.map(b => LabelParser.cloneBox(b))
+        });
+        this.updateModifiedState();
+        this.currentIndex = prevIndex;
+
+        return result;
+    }
+
+    /**
+     * Cycle a keypoint's visibility: 2 (visible) -> 1 (occluded) -> 0 (not labeled) -> 2
+     * Only keypoints stored with a visibility value can be toggled
+     * @param {string} boxId
+     * @param {number} keypointIndex
+     * @returns {number|null} New visibility, or null if nothing changed
+     */
+    cycleKeypointVisibility(boxId, keypointIndex) {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return null;
+
+        const box = state.boxes.find(b => b.id === boxId && !b.deleted);
+        if (!box || !box.keypoints || box.kptDims !== 3) return null;
+
+        const keypoint = box.keypoints[keypointIndex];
+        if (!keypoint) return null;
+
+        const before = LabelParser.cloneBox(box);
+        keypoint.v = keypoint.v === 2 ? 1 : keypoint.v === 1 ? 0 : 2;
+
+        // Record for undo
+        this.recordAction('keypoint', [before], { after: [LabelParser.cloneBox(box)] });
+
+        this.updateModifiedState();
+        return keypoint.v;
+    }
+
+    /**
+     * Get the lines the parser rejected for the current image
+     * @returns {Array} {lineIndex, lineNumber, raw, reason, repaired, resolution}
+     */
+    getRejectedLines() {
+        const state = this.imageStates.get(this.currentIndex);
+        return state ? state.rejectedLines : [];
+    }
+
+    /**
+     * Count rejected lines nobody has decided about yet
+     * @param {number} index
+     * @returns {number|null} Null if the image has no state yet
+     */
+    getUnresolvedCount(index) {
+        const state = this.imageStates.get(index);
+        if (!state) return null;
+        return state.rejectedLines.filter(r => r.resolution === null).length;
+    }
+
+    /**
+     * Decide what happens to a rejected line on save
+     * @param {number} lineIndex
+     * @param {string} resolution - 'keep' (write raw line back), 'drop' or 'clamp' (use repaired box)
+     * @returns {boolean} True if the resolution changed
+     */
+    resolveRejectedLine(lineIndex, resolution) {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return false;
+
+        const rejected = state.rejectedLines.find(r => r.lineIndex === lineIndex);
+        if (!rejected || rejected.resolution === resolution) return false;
+        if (resolution === 'clamp' && !rejected.repaired) return false;
+
+        // Leaving 'clamp' removes the repaired box (as it is now, so undo brings edits back)
+        const removed = state.boxes.filter(b => b.id === rejected.boxId);
+
+        const added = [];
+        if (resolution === 'clamp') {
+            const box = LabelParser.cloneBox(rejected.repaired);
+            box.lineIndex = lineIndex;
+            box.deleted = false;
+            box.selected = false;
+            added.push(box);
+        }
+
+        // Record for undo
+        this.recordAction('resolve', added, {
+            lineIndex,
+            previous: rejected.resolution,
+            resolution,
+            removedBoxes: removed.map(b => LabelParser.cloneBox(b))
+        });
+
+        this.applyResolution(state, lineIndex, resolution, added, removed);
+
+        this.updateModifiedState();
+        return true;
+    }
+
+    /**
+     * Get the rejected lines that should be written back unchanged on save
+     * Unresolved rejected lines are kept so nothing is lost silently
+     * @returns {Set<number>} lineIndex of each kept line
+     */
+    getKeptLineIndexes() {
+        const state = this.imageStates.get(this.currentIndex);
+        if (!state) return new Set();
+        return new Set(state.rejectedLines
+            .filter(r => r.resolution === null || r.resolution === 'keep')
+            .map(r => r.lineIndex));
+    }
+
     /**
      * Mark selected boxes as deleted
      * @returns {number} Number of boxes deleted
@@ -215,6 +543,33 @@ export class StateManager {
         return selected.length;
     }
 
+    /**
+     * Mark boxes of any image as deleted, as a single undo step of that image
+     * @param {number} index
+     * @param {Array<string>} boxIds
+     * @returns {number} Number of boxes deleted
+     */
+    deleteBoxesAt(index, boxIds) {
+        const state = this.imageStates.get(index);
+        if (!state) return 0;
+
+        const ids = new Set(boxIds);
+        const boxes = state.boxes.filter(b => ids.has(b.id) && !b.deleted);
+        if (boxes.length === 0) return 0;
+
+        const prevIndex = this.currentIndex;
+        this.currentIndex = index;
+        this.recordAction('delete', boxes);
+        for (const box of boxes) {
+            box.deleted = true;
+            box.selected = false;
+        }
+        this.markModified();
+        this.currentIndex = prevIndex;
+
+        return boxes.length;
+    }
+
     /**
      * Restore deleted boxes (all or selected)
      * @param {boolean} onlySelected - Only restore selected deleted boxes
@@ -245,13 +600,14 @@ export class StateManager {
 
     /**
      * Select all boxes
+     * @param {function(Object): boolean|null} filter - Only select the boxes it accepts
      */
-    selectAll() {
+    selectAll(filter = null) {
         const state = this.imageStates.get(this.currentIndex);
         if (!state) return;
 
         for (const box of state.boxes) {
-            if (!box.deleted) {
+            if (!box.deleted && (!filter || filter(box))) {
                 box.selected = true;
             }
         }
@@ -343,11 +699,13 @@ export class StateManager {
         if (!state) return;
 
         // Check if current state differs from original
-        let hasChanges = false;
+        // Dropping or repairing a rejected line changes the file too
+        let hasChanges = state.rejectedLines.some(r => r.resolution === 'drop' || r.resolution === 'clamp');
 
         for (const box of state.boxes) {
             const original = state.originalBoxes.find(o => o.id === box.id);
-            if (!original || box.deleted !== original.deleted) {
+            const changed = original ? !LabelParser.boxesEqual(box, original) : !box.deleted;
+            if (changed) {
                 hasChanges = true;
                 break;
             }
@@ -396,8 +754,10 @@ export class StateManager {
     /**
      * Mark current image as saved
      * Updates original boxes to match current state
+     * @param {Array|null} diagnostics - Rejected lines of the file as written, so
+     *   kept lines follow their new line numbers
      */
-    markSaved() {
+    markSaved(diagnostics = null) {
         const state = this.imageStates.get(this.currentIndex);
         if (!state) return;
 
@@ -405,6 +765,17 @@ export class StateManager {
         const nonDeleted = state.boxes.filter(b => !b.deleted);
         state.originalBoxes = LabelParser.cloneBoxes(nonDeleted);
         state.boxes = LabelParser.cloneBoxes(nonDeleted);
+
+        // Dropped and repaired lines are gone from the file now
+        const kept = state.rejectedLines
+            .filter(r => r.resolution === null || r.resolution === 'keep');
+        const unmatched = diagnostics ? [...diagnostics] : [];
+        state.rejectedLines = kept.map(rejected => {
+            const i = unmatched.findIndex(d => d.raw === rejected.raw);
+            if (i < 0) return rejected;
+            const [moved] = unmatched.splice(i, 1);
+            return { ...rejected, lineIndex: moved.lineIndex, lineNumber: moved.lineNumber };
+        });
         state.undoStack = [];
         state.redoStack = [];
 
@@ -414,11 +785,12 @@ export class StateManager {
     /**
      * Mark a specific image as saved
      * @param {number} index
+     * @param {Array|null} diagnostics - See markSaved()
      */
-    markSavedAt(index) {
+    markSavedAt(index, diagnostics = null) {
         const prevIndex = this.currentIndex;
         this.currentIndex = index;
-        this.markSaved();
+        this.markSaved(diagnostics);
         this.currentIndex = prevIndex;
     }
 
@@ -432,6 +804,17 @@ export class StateManager {
         return state.boxes.filter(b => !b.deleted);
     }
 
+    /**
+     * Get the edited boxes of any image (non-deleted only)
+     * @param {number} index
+     * @returns {Array|null} Null if the image has not been opened for editing
+     */
+    getBoxesAt(index) {
+        const state = this.imageStates.get(index);
+        if (!state) return null;
+        return state.boxes.filter(b => !b.deleted);
+    }
+
     /**
      * Check if there are any unsaved changes across all images
      * @returns {boolean}
@@ -466,6 +849,10 @@ export class StateManager {
         if (!state) return;
 
         state.boxes = LabelParser.cloneBoxes(state.originalBoxes);
+        for (const rejected of state.rejectedLines) {
+            rejected.resolution = null;
+            rejected.boxId = null;
+        }
         state.undoStack = [];
         state.redoStack = [];
         this.globalModified.delete(this.currentIndex);
@@ -0,0 +1,72 @@
+/**
+ * Text Diff
+ * Line-by-line comparison of two texts (longest common subsequence)
+ */
+export class TextDiff {
+    /**
+     * Compare two texts line by line
+     * @param {string} before
+     * @param {string} after
+     * @returns {Array<{type: 'same'|'removed'|'added', text: string}>} Lines in display order
+     */
+    static lines(before, after) {
+        const a = this.splitLines(before);
+        const b = this.splitLines(after);
+
+        // Lines shared at the start and end need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        // common[i][j]: length of the longest common subsequence of midA[i..] and midB[j..]
+        const common = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                common[i][j] = midA[i] === midB[j]
+                    ? common[i + 1][j + 1] + 1
+                    : Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+
+        const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                result.push({ type: 'same', text: midA[i] });
+                i++;
+                j++;
+            } else if (i < midA.length && (j === midB.length || common[i + 1][j] >= common[i][j + 1])) {
+                result.push({ type: 'removed', text: midA[i] });
+                i++;
+            } else {
+                result.push({ type: 'added', text: midB[j] });
+                j++;
+            }
+        }
+        for (const text of a.slice(endA)) {
+            result.push({ type: 'same', text });
+        }
+        return result;
+    }
+
+    /**
+     * Split text into lines, ignoring the line ending style and a final newline
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static splitLines(text) {
+        if (!text) return [];
+        const lines = text.split(/\r?\n/);
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+}
@@ -0,0 +1,273 @@
+import { LabelParser } from './LabelParser.js';
+
+/**
+ * Pascal VOC Format
+ * Converts between per-image VOC annotation XML and the editor's box objects
+ * VOC boxes are 1-based pixel corners (xmin, ymin, xmax, ymax) with a class <name>
+ */
+export class VocFormat {
+    /**
+     * Parse a VOC annotation file
+     * @param {string} content - Raw XML content
+     * @returns {{filename: string|null, width: number, height: number, objects: Array<Object>}}
+     *   objects: {name, xmin, ymin, xmax, ymax, pose, truncated, difficult}
+     * @throws {Error} If the content is not a VOC annotation
+     */
+    static parse(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const root = doc.documentElement;
+        if (doc.getElementsByTagName('parsererror').length > 0 || root.tagName !== 'annotation') {
+            throw new Error('Not a Pascal VOC annotation file');
+        }
+
+        const size = this.getChild(root, 'size');
+        const objects = [];
+
+        for (const object of this.getChildren(root, 'object')) {
+            const bndbox = this.getChild(object, 'bndbox');
+            if (!bndbox) continue;
+
+            objects.push({
+                name: this.getChildText(object, 'name') ?? '',
+                xmin: parseFloat(this.getChildText(bndbox, 'xmin')),
+                ymin: parseFloat(this.getChildText(bndbox, 'ymin')),
+                xmax: parseFloat(this.getChildText(bndbox, 'xmax')),
+                ymax: parseFloat(this.getChildText(bndbox, 'ymax')),
+                pose: this.getChildText(object, 'pose'),
+                truncated: this.getChildText(object, 'truncated'),
+                difficult: this.getChildText(object, 'difficult')
+            });
+        }
+
+        return {
+            filename: this.getChildText(root, 'filename'),
+            width: parseInt(this.getChildText(size, 'width'), 10) || 0,
+            height: parseInt(this.getChildText(size, 'height'), 10) || 0,
+            objects
+        };
+    }
+
+    /**
+     * Convert parsed VOC objects to boxes
+     * Uses the same 1-based pixel convention as the Ultralytics VOC converter;
+     * boxes are clipped to the image and empty ones are skipped
+     * @param {Array<Object>} objects - From parse()
+     * @param {function(string): number} classIdOf - Maps a class name to a class id
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @returns {Array<Object>} Box objects
+     */
+    static toBoxes(objects, classIdOf, imageWidth, imageHeight) {
+        const boxes = [];
+
+        for (const object of objects) {
+            if ([object.xmin, object.ymin, object.xmax, object.ymax].some(v => isNaN(v))) continue;
+
+            const x1 = Math.max(0, object.xmin - 1);
+            const y1 = Math.max(0, object.ymin - 1);
+            const x2 = Math.min(imageWidth, object.xmax - 1);
+            const y2 = Math.min(imageHeight, object.ymax - 1);
+            if (!(x2 > x1 && y2 > y1)) continue;
+
+            const pixelBox = {
+                id: crypto.randomUUID(),
+                classId: classIdOf(object.name),
+                x: x1,
+                y: y1,
+                w: x2 - x1,
+                h: y2 - y1,
+                deleted: false,
+                selected: false
+            };
+
+            boxes.push({
+                ...LabelParser.toNormalizedCoords(pixelBox, imageWidth, imageHeight),
+                type: 'bbox',
+                lineIndex: null,
+                // Written back unchanged when saving as VOC
+                voc: { pose: object.pose, truncated: object.truncated, difficult: object.difficult }
+            });
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Write boxes into a VOC annotation
+     * Everything in the original file except its <object> elements is kept;
+     * shapes are written as their bounding boxes
+     * @param {Array<Object>} boxes - Boxes to write (deleted ones are skipped)
+     * @param {string} originalContent - Original XML, or '' to create a new file
+     * @param {Object} info - {filename, width, height, getName: function(classId): string}
+     * @returns {string} XML content
+     */
+    static serialize(boxes, originalContent, info) {
+        const source = originalContent || this.createEmptyAnnotation(info);
+        const doc = new DOMParser().parseFromString(source, 'application/xml');
+        const root = doc.documentElement;
+
+        const indent = this.detectIndent(root);
+
+        for (const object of this.getChildren(root, 'object')) {
+            const previous = object.previousSibling;
+            if (previous && previous.nodeType === Node.TEXT_NODE && !previous.textContent.trim()) {
+                root.removeChild(previous);
+            }
+            root.removeChild(object);
+        }
+
+        // Drop trailing whitespace so new objects line up with the other children
+        while (root.lastChild && root.lastChild.nodeType === Node.TEXT_NODE && !root.lastChild.textContent.trim()) {
+            root.removeChild(root.lastChild);
+        }
+
+        for (const box of boxes) {
+            if (box.deleted) continue;
+            root.appendChild(doc.createTextNode('\n' + indent));
+            root.appendChild(this.createObjectElement(doc, box, info, indent));
+        }
+        root.appendChild(doc.createTextNode('\n'));
+
+        const declaration = source.match(/^\s*<\?xml[^>]*\?>/);
+        const xml = new XMLSerializer().serializeToString(root);
+        return (declaration ? declaration[0].trim() + '\n' : '') + xml + '\n';
+    }
+
+    /**
+     * Rename the class of the objects in a VOC annotation
+     * Only the matching <name> elements change; the rest of the file is kept as is
+     * @param {string} content - Raw XML content
+     * @param {string} oldName
+     * @param {string} newName
+     * @returns {string|null} New content, or null if no object had the old name
+     */
+    static renameObjects(content, oldName, newName) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const root = doc.documentElement;
+        if (doc.getElementsByTagName('parsererror').length > 0 || root.tagName !== 'annotation') {
+            return null;
+        }
+
+        let renamed = 0;
+        for (const object of this.getChildren(root, 'object')) {
+            const name = this.getChild(object, 'name');
+            if (name && name.textContent.trim() === oldName) {
+                name.textContent = newName;
+                renamed++;
+            }
+        }
+        if (renamed === 0) return null;
+
+        const declaration = content.match(/^\s*<\?xml[^>]*\?>/);
+        const xml = new XMLSerializer().serializeToString(root);
+        return (declaration ? declaration[0].trim() + '\n' : '') + xml + '\n';
+    }
+
+    /**
+     * Build an <object> element for a box
+     * @param {Document} doc
+     * @param {Object} box
+     * @param {Object} info - See serialize()
+     * @param {string} indent - One indentation level
+     * @returns {Element}
+     */
+    static createObjectElement(doc, box, info, indent) {
+        const rect = LabelParser.toPixelCoords(box, info.width, info.height);
+        const extra = box.voc || {};
+
+        const object = doc.createElement('object');
+        const append = (parent, tag, text, depth) => {
+            const element = doc.createElement(tag);
+            if (text !== null) element.textContent = text;
+            parent.appendChild(doc.createTextNode('\n' + indent.repeat(depth)));
+            parent.appendChild(element);
+            return element;
+        };
+
+        append(object, 'name', info.getName(box.classId), 2);
+        append(object, 'pose', extra.pose ?? 'Unspecified', 2);
+        append(object, 'truncated', extra.truncated ?? '0', 2);
+        append(object, 'difficult', extra.difficult ?? '0', 2);
+
+        const bndbox = append(object, 'bndbox', null, 2);
+        append(bndbox, 'xmin', String(Math.round(rect.x) + 1), 3);
+        append(bndbox, 'ymin', String(Math.round(rect.y) + 1), 3);
+        append(bndbox, 'xmax', String(Math.round(rect.x + rect.w) + 1), 3);
+        append(bndbox, 'ymax', String(Math.round(rect.y + rect.h) + 1), 3);
+        bndbox.appendChild(doc.createTextNode('\n' + indent.repeat(2)));
+
+        object.appendChild(doc.createTextNode('\n' + indent));
+        return object;
+    }
+
+    /**
+     * Build the skeleton of a new VOC annotation
+     * @param {Object} info - {filename, width, height}
+     * @returns {string} XML content
+     */
+    static createEmptyAnnotation(info) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        return [
+            '<annotation>',
+            `\t<filename>${escape(info.filename)}</filename>`,
+            '\t<size>',
+            `\t\t<width>${info.width}</width>`,
+            `\t\t<height>${info.height}</height>`,
+            '\t\t<depth>3</depth>',
+            '\t</size>',
+            '\t<segmented>0</segmented>',
+            '</annotation>'
+        ].join('\n');
+    }
+
+    /**
+     * Find the indentation unit used by the root's children
+     * @param {Element} root
+     * @returns {string} Defaults to a tab
+     */
+    static detectIndent(root) {
+        for (const node of root.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                const match = node.textContent.match(/\n([ \t]+)$/);
+                if (match) return match[1];
+            }
+        }
+        return '\t';
+    }
+
+    /**
+     * Get the direct child elements with a tag name
+     * @param {Element|null} parent
+     * @param {string} tag
+     * @returns {Array<Element>}
+     */
+    static getChildren(parent, tag) {
+        if (!parent) return [];
+        return [...parent.children].filter(child => child.tagName === tag);
+    }
+
+    /**
+     * Get the first direct child element with a tag name
+     * @param {Element|null} parent
+     * @param {string} tag
+     * @returns {Element|null}
+     */
+    static getChild(parent, tag) {
+        return this.getChildren(parent, tag)[0] || null;
+    }
+
+    /**
+     * Get the trimmed text of a direct child element
+     * @param {Element|null} parent
+     * @param {string} tag
+     * @returns {string|null}
+     */
+    static getChildText(parent, tag) {
+        const child = this.getChild(parent, tag);
+        return child ? child.textContent.trim() : null;
+    }
+}
@@ -2,16 +2,49 @@ import { FileManager } from './FileManager.js';
 import { DatasetLoader } from './DatasetLoader.js';
 import { StateManager } from './StateManager.js';
 import { LabelParser } from './LabelParser.js';
+import { BoxMatcher } from './BoxMatcher.js';
+import { Evaluator } from './Evaluator.js';
+import { DatasetLinter } from './DatasetLinter.js';
+import { SplitGenerator } from './SplitGenerator.js';
+import { TextDiff } from './TextDiff.js';
 
 const ui = {
     // Toolbar buttons
     btnLoad: document.getElementById('btn-load'),
+    btnReload: document.getElementById('btn-reload'),
     btnSave: document.getElementById('btn-save'),
     btnSaveAll: document.getElementById('btn-save-all'),
+    btnExportCoco: document.getElementById('btn-export-coco'),
+    vocSaveGroup: document.getElementById('voc-save-group'),
+    vocSaveFormat: document.getElementById('voc-save-format'),
     btnUndo: document.getElementById('btn-undo'),
     btnRedo: document.getElementById('btn-redo'),
     btnDelete: document.getElementById('btn-delete'),
     btnSelectAll: document.getElementById('btn-select-all'),
+    btnSetClass: document.getElementById('btn-set-class'),
+    btnDraw: document.getElementById('btn-draw'),
+    btnLoadPredictions: document.getElementById('btn-load-predictions'),
+    predictionsInput: document.getElementById('predictions-input'),
+    predictionControls: document.getElementById('prediction-controls'),
+    btnTogglePredictions: document.getElementById('btn-toggle-predictions'),
+    confThreshold: document.getElementById('conf-threshold'),
+    confThresholdValue: document.getElementById('conf-threshold-value'),
+    btnCompare: document.getElementById('btn-compare'),
+    iouThreshold: document.getElementById('iou-threshold'),
+    btnPrevError: document.getElementById('btn-prev-error'),
+    btnNextError: document.getElementById('btn-next-error'),
+    btnEvaluate: document.getElementById('btn-evaluate'),
+    btnLint: document.getElementById('btn-lint'),
+    btnRemap: document.getElementById('btn-remap'),
+    btnSplits: document.getElementById('btn-splits'),
+    btnDedupe: document.getElementById('btn-dedupe'),
+    dedupeControls: document.getElementById('dedupe-controls'),
+    dedupeIou: document.getElementById('dedupe-iou'),
+    dedupeScope: document.getElementById('dedupe-scope'),
+    dedupeCount: document.getElementById('dedupe-count'),
+    btnRemoveDuplicates: document.getElementById('btn-remove-duplicates'),
+    drawClass: document.getElementById('draw-class'),
+    drawClassName: document.getElementById('draw-class-name'),
     btnZoomFit: document.getElementById('btn-zoom-fit'),
     btnZoomIn: document.getElementById('btn-zoom-in'),
     btnZoomOut: document.getElementById('btn-zoom-out'),
@@ -21,8 +54,15 @@ const ui = {
     sidebar: document.getElementById('sidebar'),
     resizeHandle: document.getElementById('resize-handle'),
     imageCount: document.getElementById('image-count'),
+    btnRestoreRemoved: document.getElementById('btn-restore-removed'),
+    splitGroup: document.getElementById('sidebar-split'),
+    splitSelect: document.getElementById('split-select'),
     searchImages: document.getElementById('search-images'),
     imageList: document.getElementById('image-list'),
+    classPanel: document.getElementById('class-panel'),
+    classPanelList: document.getElementById('class-panel-list'),
+    btnAddClass: document.getElementById('btn-add-class'),
+    btnRecountClasses: document.getElementById('btn-recount-classes'),
 
     // Canvas
     canvasContainer: document.getElementById('canvas-container'),
@@ -33,6 +73,9 @@ const ui = {
     statusImage: document.getElementById('status-image'),
     statusBoxes: document.getElementById('status-boxes'),
     statusSelected: document.getElementById('status-selected'),
+    statusClass: document.getElementById('status-class'),
+    statusIssues: document.getElementById('status-issues'),
+    statusPredictions: document.getElementById('status-predictions'),
     statusModified: document.getElementById('status-modified'),
     statusZoom: document.getElementById('status-zoom'),
     statusPosition: document.getElementById('status-position'),
@@ -46,6 +89,60 @@ const ui = {
     gotoConfirm: document.getElementById('goto-confirm'),
     gotoInput: document.getElementById('goto-input'),
     gotoMax: document.getElementById('goto-max'),
+    classModal: document.getElementById('class-modal'),
+    closeClass: document.getElementById('close-class'),
+    classCancel: document.getElementById('class-cancel'),
+    classConfirm: document.getElementById('class-confirm'),
+    classInput: document.getElementById('class-input'),
+    classTarget: document.getElementById('class-target'),
+    classList: document.getElementById('class-list'),
+    issuesModal: document.getElementById('issues-modal'),
+    closeIssues: document.getElementById('close-issues'),
+    issueList: document.getElementById('issue-list'),
+    lintModal: document.getElementById('lint-modal'),
+    closeLint: document.getElementById('close-lint'),
+    lintMinSize: document.getElementById('lint-min-size'),
+    lintDuplicateIou: document.getElementById('lint-duplicate-iou'),
+    lintFilter: document.getElementById('lint-filter'),
+    btnRunLint: document.getElementById('btn-run-lint'),
+    lintSummary: document.getElementById('lint-summary'),
+    lintList: document.getElementById('lint-list'),
+    splitsModal: document.getElementById('splits-modal'),
+    closeSplits: document.getElementById('close-splits'),
+    splitMoveName: document.getElementById('split-move-name'),
+    splitMoveTarget: document.getElementById('split-move-target'),
+    splitMove: document.getElementById('split-move'),
+    splitRatios: document.getElementById('split-ratios'),
+    splitSeed: document.getElementById('split-seed'),
+    splitPreviewTable: document.getElementById('split-preview-table'),
+    splitSummary: document.getElementById('split-summary'),
+    splitPreview: document.getElementById('split-preview'),
+    splitApply: document.getElementById('split-apply'),
+    saveConflictModal: document.getElementById('save-conflict-modal'),
+    closeSaveConflict: document.getElementById('close-save-conflict'),
+    saveConflictName: document.getElementById('save-conflict-name'),
+    saveConflictChange: document.getElementById('save-conflict-change'),
+    saveConflictDiff: document.getElementById('save-conflict-diff'),
+    saveConflictShowDiff: document.getElementById('save-conflict-show-diff'),
+    saveConflictReload: document.getElementById('save-conflict-reload'),
+    saveConflictOverwrite: document.getElementById('save-conflict-overwrite'),
+    removeImageModal: document.getElementById('remove-image-modal'),
+    closeRemoveImage: document.getElementById('close-remove-image'),
+    removeImageName: document.getElementById('remove-image-name'),
+    removeImageModified: document.getElementById('remove-image-modified'),
+    removeImageDelete: document.getElementById('remove-image-delete'),
+    removeImageQuarantine: document.getElementById('remove-image-quarantine'),
+    remapModal: document.getElementById('remap-modal'),
+    closeRemap: document.getElementById('close-remap'),
+    remapTable: document.getElementById('remap-table'),
+    remapSummary: document.getElementById('remap-summary'),
+    remapPreview: document.getElementById('remap-preview'),
+    remapApply: document.getElementById('remap-apply'),
+    evalModal: document.getElementById('eval-modal'),
+    closeEval: document.getElementById('close-eval'),
+    evalSummary: document.getElementById('eval-summary'),
+    evalTable: document.getElementById('eval-table'),
+    evalConfusion: document.getElementById('eval-confusion'),
 
     // Notifications
     notifications: document.getElementById('notifications')
@@ -56,14 +153,75 @@ const datasetLoader = new DatasetLoader(fileManager);
 const stateManager = new StateManager();
 
 let currentIndex = -1;
+// Split shown in the image list; null shows every split
+let currentSplit = null;
+// Split proportions offered when the dataset has no splits yet
+const DEFAULT_SPLIT_RATIOS = [['train', 80], ['val', 10], ['test', 10]];
 let currentBitmap = null;
 let currentImageWidth = 0;
 let currentImageHeight = 0;
 
 let zoom = 1; // 1 = fit-to-screen zoom
+// View offset in canvas pixels, relative to the centered image
+let panX = 0;
+let panY = 0;
+let panDrag = null; // {pointerId, startX, startY, panX, panY} while panning
+let spaceHeld = false;
 let selectionRect = null; // {x1,y1,x2,y2} in canvas pixels
 let selectionPointerId = null;
 
+let activeTool = 'select'; // 'select' | 'draw'
+let drawClassId = 0;
+let drawRect = null; // {x1,y1,x2,y2} in image pixels
+let drawPointerId = null;
+
+// Prediction layer of the current image (read-only, shared with the loader's cache)
+let predictionBoxes = [];
+let showPredictions = true;
+let confThreshold = 0.25;
+let selectedPredictionId = null;
+
+// Comparison of labels against predictions
+let compareMode = false;
+let iouThreshold = 0.5;
+// Images ordered by error count (FP + FN), most errors first; null until computed
+let errorRanking = null;
+
+const COMPARE_COLORS = { tp: '#4caf50', fp: '#f44336', fn: '#ffeb3b' };
+
+// Result of the last dataset lint: [{index, issues}] for images with issues; null until run
+let lintResults = null;
+
+// Boxes and images per class id for the class panel; null until counted
+let classCounts = null;
+
+// Classes hidden on the canvas; a solo class hides every other class
+const hiddenClasses = new Set();
+let soloClassId = null;
+
+// Duplicate cleanup: duplicates of the current image are highlighted while on
+let dedupeMode = false;
+let dedupeIou = 0.7;
+// Duplicates across the dataset {boxes, images}; null until counted
+let dedupeSummary = null;
+
+// Images already warned about for class ids outside the names list
+const warnedUnknownClasses = new Set();
+
+// Images already warned about for prediction lines that could not be read
+const warnedRejectedPredictions = new Set();
+
+// Images removed from the dataset this session, most recent last: {removed, state}
+const removedSamples = [];
+
+// Label file changed on disk while saving: { resolve, theirs, ours } until the user picks what to do
+let pendingSaveConflict = null;
+
+// Active move/resize drag: { pointerId, mode, handle, startX, startY, originals, before }
+let transformDrag = null;
+
+const HANDLE_NAMES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
 const ctx = ui.canvas.getContext('2d', { alpha: false, desynchronized: true });
 
 function clamp(value, min, max) {
@@ -108,14 +266,35 @@ function updateToolbarState() {
     const datasetLoaded = hasDatasetLoaded();
     const imageSelected = hasImageSelected();
 
+    ui.btnReload.disabled = !datasetLoader.canReload();
     ui.btnSave.disabled = !imageSelected || !stateManager.isCurrentModified();
     ui.btnSaveAll.disabled = !datasetLoaded || stateManager.getModifiedCount() === 0;
+    ui.btnExportCoco.disabled = !datasetLoaded;
+    ui.btnLint.disabled = !datasetLoaded;
+    ui.btnRemap.disabled = !datasetLoaded;
+    ui.btnSplits.disabled = !datasetLoaded;
+    ui.btnDedupe.disabled = !datasetLoaded;
+    ui.btnDedupe.classList.toggle('active', dedupeMode);
+    ui.dedupeControls.classList.toggle('hidden', !dedupeMode);
+    updateDedupeCount();
 
     ui.btnUndo.disabled = !imageSelected || !stateManager.canUndo();
     ui.btnRedo.disabled = !imageSelected || !stateManager.canRedo();
 
     ui.btnDelete.disabled = !imageSelected || stateManager.getSelectedCount() === 0;
     ui.btnSelectAll.disabled = !imageSelected || stateManager.getBoxCount() === 0;
+    ui.btnSetClass.disabled = !imageSelected;
+
+    ui.btnDraw.disabled = !imageSelected;
+    ui.btnDraw.classList.toggle('active', activeTool === 'draw');
+    ui.drawClass.disabled = !imageSelected;
+
+    ui.btnLoadPredictions.disabled = !datasetLoaded;
+    ui.predictionControls.classList.toggle('hidden', !datasetLoader.hasPredictions());
+    ui.btnTogglePredictions.classList.toggle('active', showPredictions);
+    ui.btnCompare.classList.toggle('active', compareMode);
+    ui.btnPrevError.disabled = !compareMode;
+    ui.btnNextError.disabled = !compareMode;
 
     ui.btnZoomFit.disabled = !imageSelected;
     ui.btnZoomIn.disabled = !imageSelected;
@@ -127,20 +306,56 @@ function updateStatusBar() {
         ui.statusImage.textContent = 'No image loaded';
         ui.statusBoxes.textContent = '0 boxes';
         ui.statusSelected.textContent = '0 selected';
+        ui.statusClass.textContent = `Class: ${datasetLoader.classes.getLabel(drawClassId)}`;
         ui.statusModified.classList.add('hidden');
+        ui.statusIssues.classList.add('hidden');
+        ui.statusPredictions.classList.add('hidden');
         ui.statusZoom.textContent = 'Zoom: 100%';
         ui.statusPosition.textContent = '-';
         return;
     }
 
     const entry = datasetLoader.getEntry(currentIndex);
-    ui.statusImage.textContent = `${currentIndex + 1}/${datasetLoader.count} - ${entry?.name ?? ''}`;
+    ui.statusImage.textContent = `${currentIndex + 1}/${datasetLoader.count} - ${entry ? getEntryPath(entry) : ''}`;
     ui.statusBoxes.textContent = `${stateManager.getBoxCount()} boxes`;
     ui.statusSelected.textContent = `${stateManager.getSelectedCount()} selected`;
+    ui.statusClass.textContent = getClassStatusText();
     ui.statusModified.classList.toggle('hidden', !stateManager.isCurrentModified());
+
+    const unresolved = stateManager.getUnresolvedCount(currentIndex) ?? 0;
+    ui.statusIssues.textContent = `\u26A0 ${unresolved} rejected line${unresolved === 1 ? '' : 's'}`;
+    ui.statusIssues.classList.toggle('hidden', unresolved === 0);
+
+    ui.statusPredictions.classList.toggle('hidden', !datasetLoader.hasPredictions());
+    if (compareMode) {
+        const comparison = getCurrentComparison();
+        ui.statusPredictions.textContent = `TP ${comparison.matches.length} \u00B7 ` +
+            `FP ${comparison.falsePositives.length} \u00B7 FN ${comparison.falseNegatives.length}`;
+    } else {
+        ui.statusPredictions.textContent = showPredictions
+            ? `Pred: ${getVisiblePredictions().length}/${predictionBoxes.length} \u2265 ${confThreshold.toFixed(2)}`
+            : 'Pred: hidden';
+    }
+    // Images matching several prediction files (or sharing one) get none
+    if (hasImageSelected() && datasetLoader.getEntry(currentIndex)?.predictionIssue) {
+        ui.statusPredictions.textContent += ' \u00B7 ambiguous file, not shown';
+    }
     ui.statusZoom.textContent = `Zoom: ${Math.round(zoom * 100)}%`;
 }
 
+function getClassStatusText() {
+    const selectedIds = new Set(
+        stateManager.getCurrentBoxes()
+            .filter(b => b.selected && !b.deleted)
+            .map(b => b.classId)
+    );
+    if (selectedIds.size === 0) {
+        return `Class: ${datasetLoader.classes.getLabel(drawClassId)}`;
+    }
+    const labels = [...selectedIds].sort((a, b) => a - b).map(id => datasetLoader.classes.getLabel(id));
+    return `Selected class: ${labels.join(', ')}`;
+}
+
 function getCanvasCssSize() {
     const rect = ui.canvas.getBoundingClientRect();
     return { w: rect.width, h: rect.height };
@@ -170,12 +385,34 @@ function getViewTransform() {
 
     const drawW = currentImageWidth * scale;
     const drawH = currentImageHeight * scale;
-    const offsetX = (canvasW - drawW) / 2;
-    const offsetY = (canvasH - drawH) / 2;
+    const offsetX = (canvasW - drawW) / 2 + panX;
+    const offsetY = (canvasH - drawH) / 2 + panY;
 
     return { scale, offsetX, offsetY };
 }
 
+function resetView() {
+    zoom = 1;
+    panX = 0;
+    panY = 0;
+}
+
+/**
+ * Change the zoom while keeping one canvas point over the same image point
+ * @param {number} factor - Zoom multiplier
+ * @param {number} canvasX - Anchor in canvas pixels
+ * @param {number} canvasY
+ */
+function zoomAt(factor, canvasX, canvasY) {
+    const anchor = canvasPxToImagePx(canvasX, canvasY);
+    zoom = clamp(zoom * factor, 0.05, 20);
+
+    // Solve offset + anchor * scale = canvas point for the new scale
+    const scale = getFitScale(ui.canvas.width, ui.canvas.height) * zoom;
+    panX = canvasX - anchor.x * scale - (ui.canvas.width - currentImageWidth * scale) / 2;
+    panY = canvasY - anchor.y * scale - (ui.canvas.height - currentImageHeight * scale) / 2;
+}
+
 function canvasClientToCanvasPx(clientX, clientY) {
     const rect = ui.canvas.getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
@@ -213,6 +450,174 @@ function getBoxCanvasRect(box) {
     };
 }
 
+function traceShapePath(box) {
+    const points = LabelParser.getPixelPoints(box, currentImageWidth, currentImageHeight)
+        .map(p => imagePxToCanvasPx(p.x, p.y));
+    ctx.beginPath();
+    points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+}
+
+function getKeypointRadius() {
+    const dpr = window.devicePixelRatio || 1;
+    return 4 * dpr;
+}
+
+function getKeypointCanvasPoints(box) {
+    return box.keypoints.map(k => ({
+        ...imagePxToCanvasPx(k.x * currentImageWidth, k.y * currentImageHeight),
+        v: k.v,
+        // Unlabeled points stored as 0 0 are placeholders, not positions
+        hidden: !LabelParser.isKeypointLabeled(k) && k.x === 0 && k.y === 0
+    }));
+}
+
+function drawKeypoints(box, lineW) {
+    const points = getKeypointCanvasPoints(box);
+    const skeleton = datasetLoader.datasetConfig?.skeleton;
+
+    if (skeleton) {
+        ctx.strokeStyle = box.selected ? 'rgba(76,175,80,0.8)' : 'rgba(255,255,255,0.6)';
+        ctx.lineWidth = Math.max(1, lineW / 2);
+        for (const [from, to] of skeleton) {
+            const a = points[from];
+            const b = points[to];
+            if (!a || !b) continue;
+            if (!LabelParser.isKeypointLabeled(box.keypoints[from])) continue;
+            if (!LabelParser.isKeypointLabeled(box.keypoints[to])) continue;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+    }
+
+    const radius = getKeypointRadius();
+    for (const p of points) {
+        if (p.hidden) continue;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+        if (p.v === 0) {
+            // Not labeled: faint outline so it can be toggled back on
+            ctx.strokeStyle = 'rgba(160,160,160,0.8)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        } else if (p.v === 1) {
+            // Occluded: hollow
+            ctx.strokeStyle = '#ff4081';
+            ctx.lineWidth = Math.max(1, lineW / 2);
+            ctx.stroke();
+        } else {
+            ctx.fillStyle = '#ff4081';
+            ctx.fill();
+        }
+    }
+}
+
+function getHandlePoints(rect) {
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const x2 = rect.x + rect.w;
+    const y2 = rect.y + rect.h;
+    const points = {
+        nw: { x: rect.x, y: rect.y },
+        n: { x: cx, y: rect.y },
+        ne: { x: x2, y: rect.y },
+        e: { x: x2, y: cy },
+        se: { x: x2, y: y2 },
+        s: { x: cx, y: y2 },
+        sw: { x: rect.x, y: y2 },
+        w: { x: rect.x, y: cy }
+    };
+    return HANDLE_NAMES.map(name => ({ name, ...points[name] }));
+}
+
+function hasResizeHandles(box) {
+    // Axis-aligned handles would skew a rotated box, so OBBs can only be moved
+    return !box.deleted && box.selected && box.type !== 'obb' && isClassVisible(box.classId);
+}
+
+function isClassVisible(classId) {
+    return soloClassId !== null ? classId === soloClassId : !hiddenClasses.has(classId);
+}
+
+/**
+ * Apply a change of class visibility
+ * Hidden boxes are deselected so edits never reach what cannot be seen
+ */
+function onClassVisibilityChanged() {
+    deselectHiddenBoxes();
+    selectedPredictionId = null;
+    renderClassPanel();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function deselectHiddenBoxes() {
+    for (const box of stateManager.getCurrentBoxes()) {
+        if (!isClassVisible(box.classId)) box.selected = false;
+    }
+}
+
+function toggleClassHidden(classId) {
+    if (soloClassId !== null) {
+        // Leaving solo: everything but the solo class stays visible except this one
+        soloClassId = null;
+        hiddenClasses.clear();
+    }
+    if (hiddenClasses.has(classId)) {
+        hiddenClasses.delete(classId);
+    } else {
+        hiddenClasses.add(classId);
+    }
+    onClassVisibilityChanged();
+}
+
+function toggleClassSolo(classId) {
+    soloClassId = soloClassId === classId ? null : classId;
+    onClassVisibilityChanged();
+}
+
+/**
+ * Make sure boxes just given a class are not drawn into a hidden class
+ * @param {number} classId
+ */
+function revealClass(classId) {
+    if (isClassVisible(classId)) return;
+    soloClassId = null;
+    hiddenClasses.delete(classId);
+    onClassVisibilityChanged();
+}
+
+function showAllClasses() {
+    if (soloClassId === null && hiddenClasses.size === 0) return;
+    soloClassId = null;
+    hiddenClasses.clear();
+    onClassVisibilityChanged();
+}
+
+function hideSelectedClasses() {
+    if (!hasImageSelected()) return;
+    const ids = new Set(stateManager.getCurrentBoxes().filter(b => b.selected && !b.deleted).map(b => b.classId));
+    if (ids.size === 0) return;
+    if (soloClassId !== null) {
+        soloClassId = null;
+        hiddenClasses.clear();
+    }
+    for (const id of ids) hiddenClasses.add(id);
+    onClassVisibilityChanged();
+    showNotification(`Hid class${ids.size === 1 ? '' : 'es'} ${[...ids].sort((a, b) => a - b).join(', ')} (Shift+H shows all)`, 'info');
+}
+
+function getHandleSize() {
+    const dpr = window.devicePixelRatio || 1;
+    return 8 * dpr;
+}
+
 function draw() {
     resizeCanvasToContainer();
 
@@ -242,24 +647,80 @@ function draw() {
     const boxes = stateManager.getCurrentBoxes();
     const dpr = window.devicePixelRatio || 1;
     const lineW = clamp(2 * dpr, 2, 4 * dpr);
+    const comparison = compareMode ? getCurrentComparison() : null;
+    const duplicateIds = new Set(getCurrentDuplicates().map(d => d.box.id));
 
     for (const box of boxes) {
-        if (box.deleted) continue;
+        if (box.deleted || !isClassVisible(box.classId)) continue;
         const r = getBoxCanvasRect(box);
+        const duplicate = duplicateIds.has(box.id);
+        const color = datasetLoader.classes.getColor(box.classId);
+
+        if (duplicate) {
+            // Would be removed by the duplicate cleanup
+            ctx.fillStyle = 'rgba(244,67,54,0.3)';
+            ctx.fillRect(r.x, r.y, r.w, r.h);
+        }
 
         ctx.lineWidth = lineW;
-        ctx.strokeStyle = box.selected ? '#4caf50' : '#64c8ff';
-        ctx.strokeRect(r.x, r.y, r.w, r.h);
+        if (duplicate) {
+            ctx.strokeStyle = '#f44336';
+        } else {
+            ctx.strokeStyle = comparison
+                ? COMPARE_COLORS[comparison.status.get(box.id)]
+                : (box.selected ? '#ffffff' : color);
+        }
+        if (box.type === 'obb') {
+            traceShapePath(box);
+            ctx.stroke();
+        } else if (box.points) {
+            traceShapePath(box);
+            ctx.fillStyle = datasetLoader.classes.getColor(box.classId, box.selected ? 0.3 : 0.18);
+            ctx.fill();
+            ctx.stroke();
+            if (box.selected) {
+                // Show the extent the handles act on
+                ctx.setLineDash([4 * dpr, 4 * dpr]);
+                ctx.lineWidth = 1;
+                ctx.strokeRect(r.x, r.y, r.w, r.h);
+                ctx.setLineDash([]);
+            }
+        } else {
+            ctx.strokeRect(r.x, r.y, r.w, r.h);
+        }
 
         ctx.font = `${Math.max(10 * dpr, 10)}px sans-serif`;
-        const label = String(box.classId);
+        const known = datasetLoader.classes.isKnown(box.classId);
+        const label = known
+            ? datasetLoader.classes.getName(box.classId)
+            : `${box.classId} ?`;
         const pad = 3 * dpr;
         const textW = ctx.measureText(label).width;
         const bgH = 14 * dpr;
         ctx.fillStyle = 'rgba(0,0,0,0.55)';
         ctx.fillRect(r.x, r.y - bgH, textW + pad * 2, bgH);
-        ctx.fillStyle = '#e8e8e8';
+        // A strip in the class color ties the label to its box
+        ctx.fillStyle = color;
+        ctx.fillRect(r.x, r.y - bgH, 2 * dpr, bgH);
+        ctx.fillStyle = known ? '#e8e8e8' : '#ff9800';
         ctx.fillText(label, r.x + pad, r.y - 4 * dpr);
+
+        if (box.keypoints) drawKeypoints(box, lineW);
+    }
+
+    drawPredictions(lineW, comparison);
+    drawLegend(boxes);
+
+    const handleSize = getHandleSize();
+    for (const box of boxes) {
+        if (!hasResizeHandles(box)) continue;
+        for (const p of getHandlePoints(getBoxCanvasRect(box))) {
+            ctx.fillStyle = '#4caf50';
+            ctx.fillRect(p.x - handleSize / 2, p.y - handleSize / 2, handleSize, handleSize);
+            ctx.strokeStyle = '#0f0f1a';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(p.x - handleSize / 2, p.y - handleSize / 2, handleSize, handleSize);
+        }
     }
 
     if (selectionRect) {
@@ -275,6 +736,90 @@ function draw() {
         ctx.fillStyle = 'rgba(100,200,255,0.12)';
         ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
     }
+
+    if (drawRect) {
+        const p1 = imagePxToCanvasPx(Math.min(drawRect.x1, drawRect.x2), Math.min(drawRect.y1, drawRect.y2));
+        const p2 = imagePxToCanvasPx(Math.max(drawRect.x1, drawRect.x2), Math.max(drawRect.y1, drawRect.y2));
+        ctx.strokeStyle = '#4caf50';
+        ctx.lineWidth = lineW;
+        ctx.setLineDash([6 * dpr, 4 * dpr]);
+        ctx.strokeRect(p1.x, p1.y, p2.x - p1.x, p2.y - p1.y);
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * Draw a legend of the classes in the current image in the canvas corner
+ * @param {Array<Object>} boxes - Current boxes
+ */
+function drawLegend(boxes) {
+    const counts = new Map();
+    for (const box of boxes) {
+        if (!box.deleted) counts.set(box.classId, (counts.get(box.classId) ?? 0) + 1);
+    }
+    if (counts.size === 0) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const classes = datasetLoader.classes;
+    const lineH = 16 * dpr;
+    const pad = 6 * dpr;
+    const swatch = 10 * dpr;
+    const ids = [...counts.keys()].sort((a, b) => a - b);
+
+    ctx.font = `${Math.max(11 * dpr, 11)}px sans-serif`;
+    const labels = ids.map(id => `${classes.getName(id)} (${counts.get(id)})`);
+    const textW = Math.max(...labels.map(label => ctx.measureText(label).width));
+    const w = pad * 3 + swatch + textW;
+    const h = pad * 2 + lineH * ids.length;
+    const x = pad;
+    const y = ui.canvas.height - h - pad;
+
+    ctx.fillStyle = 'rgba(15,15,26,0.75)';
+    ctx.fillRect(x, y, w, h);
+
+    ids.forEach((id, i) => {
+        const rowY = y + pad + i * lineH;
+        const visible = isClassVisible(id);
+        ctx.globalAlpha = visible ? 1 : 0.35;
+        ctx.fillStyle = classes.getColor(id);
+        ctx.fillRect(x + pad, rowY + (lineH - swatch) / 2, swatch, swatch);
+        ctx.fillStyle = '#e8e8e8';
+        ctx.fillText(labels[i], x + pad * 2 + swatch, rowY + lineH - 4 * dpr);
+    });
+    ctx.globalAlpha = 1;
+}
+
+function drawPredictions(lineW, comparison) {
+    const dpr = window.devicePixelRatio || 1;
+
+    for (const pred of getVisiblePredictions()) {
+        const r = getBoxCanvasRect(pred);
+        const selected = pred.id === selectedPredictionId;
+        const color = comparison ? COMPARE_COLORS[comparison.status.get(pred.id)] : '#ff9800';
+
+        ctx.lineWidth = selected ? lineW * 1.5 : lineW;
+        ctx.strokeStyle = selected ? '#ffffff' : color;
+        ctx.setLineDash([6 * dpr, 4 * dpr]);
+        if (pred.points) {
+            traceShapePath(pred);
+            ctx.stroke();
+        } else {
+            ctx.strokeRect(r.x, r.y, r.w, r.h);
+        }
+        ctx.setLineDash([]);
+
+        // Label below the box so it does not cover the ground truth label
+        const name = datasetLoader.classes.getName(pred.classId);
+        const label = pred.confidence == null ? name : `${name} ${pred.confidence.toFixed(2)}`;
+        ctx.font = `${Math.max(10 * dpr, 10)}px sans-serif`;
+        const pad = 3 * dpr;
+        const textW = ctx.measureText(label).width;
+        const bgH = 14 * dpr;
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        ctx.fillRect(r.x, r.y + r.h, textW + pad * 2, bgH);
+        ctx.fillStyle = selected ? '#ffffff' : color;
+        ctx.fillText(label, r.x + pad, r.y + r.h + bgH - 4 * dpr);
+    }
 }
 
 // --- app logic wired up below ---
@@ -291,6 +836,15 @@ function syncModifiedFlag(index) {
     }
 }
 
+/**
+ * Path of an image within the dataset: split, nested folder and file name
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getEntryPath(entry) {
+    return [entry.split, entry.folder, entry.name].filter(Boolean).join('/');
+}
+
 function makeImageItem(entry, index) {
     const item = document.createElement('div');
     item.className = 'image-item';
@@ -304,14 +858,33 @@ function makeImageItem(entry, index) {
     name.className = 'image-item-name';
     name.textContent = entry.name;
 
+    // The all-splits view tells same-named images of different splits apart
+    if (currentSplit === null && entry.split !== null) {
+        const split = document.createElement('span');
+        split.className = 'image-item-split';
+        split.textContent = entry.split;
+        name.prepend(split);
+    }
+
+    const issues = document.createElement('div');
+    issues.className = 'image-item-issues hidden';
+
     const count = document.createElement('div');
     count.className = 'image-item-count';
     count.textContent = entry.boxCount == null ? '-' : String(entry.boxCount);
 
     item.appendChild(status);
     item.appendChild(name);
+    item.appendChild(issues);
     item.appendChild(count);
 
+    issues.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const idx = Number(item.dataset.index);
+        if (!Number.isFinite(idx)) return;
+        selectImage(idx).then(showIssuesModal).catch(console.error);
+    });
+
     item.addEventListener('click', () => {
         const idx = Number(item.dataset.index);
         if (!Number.isFinite(idx)) return;
@@ -329,11 +902,18 @@ function updateImageItemElement(el, index) {
     if (!entry) return;
 
     const statusEl = el.querySelector('.image-item-status');
+    const issuesEl = el.querySelector('.image-item-issues');
     const countEl = el.querySelector('.image-item-count');
 
     if (statusEl) {
         statusEl.classList.remove('clean', 'modified', 'missing');
-        if (!entry.hasLabel) {
+        if (entry.pairingIssue) {
+            statusEl.classList.add('missing');
+            statusEl.textContent = '?';
+            statusEl.title = entry.pairingIssue === 'shared'
+                ? 'Another image with the same base name matches this label file; not paired (read-only)'
+                : 'Several label files share this name; none was paired (read-only)';
+        } else if (!entry.hasLabel) {
             statusEl.classList.add('missing');
             statusEl.textContent = '!';
             statusEl.title = 'Missing label file';
@@ -348,6 +928,13 @@ function updateImageItemElement(el, index) {
         }
     }
 
+    if (issuesEl) {
+        const issueCount = stateManager.getUnresolvedCount(index) ?? entry.issueCount ?? 0;
+        issuesEl.textContent = `\u26A0 ${issueCount}`;
+        issuesEl.title = `${issueCount} rejected label line${issueCount === 1 ? '' : 's'}`;
+        issuesEl.classList.toggle('hidden', issueCount === 0);
+    }
+
     if (countEl) {
         countEl.textContent = entry.boxCount == null ? '-' : String(entry.boxCount);
     }
@@ -356,9 +943,23 @@ function updateImageItemElement(el, index) {
 function renderImageList(indices) {
     ui.imageList.textContent = '';
 
+    // Nested folders get a header per folder; the list is sorted by folder already
+    const grouped = indices.some(index => datasetLoader.getEntry(index)?.folder);
+    let group = null;
+
     for (const index of indices) {
         const entry = datasetLoader.getEntry(index);
         if (!entry) continue;
+
+        const entryGroup = [currentSplit === null ? entry.split : null, entry.folder].filter(Boolean).join('/');
+        if (grouped && entryGroup !== group) {
+            group = entryGroup;
+            const header = document.createElement('div');
+            header.className = 'image-group';
+            header.textContent = entryGroup || '(top level)';
+            ui.imageList.appendChild(header);
+        }
+
         const item = makeImageItem(entry, index);
         if (index === currentIndex) item.classList.add('active');
         ui.imageList.appendChild(item);
@@ -387,36 +988,114 @@ function updateImageCountLabel(filteredCount = null) {
     ui.gotoInput.max = String(Math.max(1, total));
 }
 
-function getAllIndices() {
-    const indices = [];
-    for (let i = 0; i < datasetLoader.count; i++) indices.push(i);
-    return indices;
-}
-
 function applySearchFilter() {
     const q = ui.searchImages.value ?? '';
     const results = datasetLoader.search(q);
-    const indices = results.map(r => r.index);
+    const indices = results
+        .filter(r => currentSplit === null || r.entry.split === currentSplit)
+        .map(r => r.index);
     renderImageList(indices);
     updateImageCountLabel(indices.length);
 }
 
+function updateSplitControl() {
+    const splits = datasetLoader.getSplits();
+    ui.splitSelect.textContent = '';
+    ui.splitSelect.appendChild(new Option(`All splits (${datasetLoader.count})`, ''));
+    for (const split of splits) {
+        const count = datasetLoader.getSplitIndices(split).length;
+        ui.splitSelect.appendChild(new Option(`${split} (${count})`, split));
+    }
+    ui.splitSelect.value = currentSplit ?? '';
+    ui.splitGroup.classList.toggle('hidden', splits.length === 0);
+}
+
+/**
+ * Show one split in the image list
+ * @param {string|null} split - null for all splits
+ */
+function setSplitFilter(split) {
+    if (split === currentSplit) return;
+    currentSplit = split;
+    ui.splitSelect.value = split ?? '';
+    applySearchFilter();
+}
+
+function onSplitSelected() {
+    setSplitFilter(ui.splitSelect.value || null);
+
+    // Leave an image that is not in the chosen split
+    const entry = datasetLoader.getEntry(currentIndex);
+    if (currentSplit !== null && entry?.split !== currentSplit) {
+        const first = datasetLoader.getSplitIndices(currentSplit)[0];
+        if (first !== undefined) selectImage(first).catch(console.error);
+    }
+}
+
 async function resetAppState() {
     clearCurrentImage();
     currentIndex = -1;
-    zoom = 1;
+    currentSplit = null;
+    resetView();
+    panDrag = null;
     selectionRect = null;
     selectionPointerId = null;
+    drawRect = null;
+    drawPointerId = null;
+    transformDrag = null;
+    predictionBoxes = [];
+    selectedPredictionId = null;
+    compareMode = false;
+    errorRanking = null;
+    lintResults = null;
+    classCounts = null;
+    hiddenClasses.clear();
+    soloClassId = null;
+    dedupeMode = false;
+    dedupeSummary = null;
     stateManager.clearAll();
+    warnedUnknownClasses.clear();
+    warnedRejectedPredictions.clear();
+    removedSamples.length = 0;
+    updateRestoreRemovedControl();
     ui.searchImages.value = '';
     ui.imageList.textContent = '';
     ui.imageCount.textContent = '0 images';
+    ui.splitGroup.classList.add('hidden');
+    ui.vocSaveGroup.classList.add('hidden');
+    ui.classPanel.classList.add('hidden');
     setDropZoneVisible(true);
     updateToolbarState();
     updateStatusBar();
     draw();
 }
 
+function updateVocSaveControl() {
+    const hasVoc = datasetLoader.hasVocLabels();
+    ui.vocSaveGroup.classList.toggle('hidden', !hasVoc);
+    ui.vocSaveFormat.value = datasetLoader.vocSaveFormat;
+}
+
+function getClassesLoadedSuffix() {
+    const classes = datasetLoader.classes;
+    let suffix = classes.hasNames() ? `, ${classes.count} classes from ${classes.source}` : '';
+    if (datasetLoader.coco) {
+        suffix += `, annotations from ${datasetLoader.coco.source}`;
+    }
+    return suffix;
+}
+
+function warnPairingIssues() {
+    const count = datasetLoader.getPairingIssueCount();
+    if (count > 0) {
+        showNotification(
+            `${count} image${count === 1 ? '' : 's'} could not be paired with a label file unambiguously (marked ?)`,
+            'warning',
+            5000
+        );
+    }
+}
+
 async function loadFromFolderPicker() {
     setLoading(true);
     try {
@@ -435,9 +1114,13 @@ async function loadFromFolderPicker() {
         }
 
         setDropZoneVisible(false);
-        renderImageList(getAllIndices());
-        updateImageCountLabel();
-        showNotification(`Loaded ${count} images`, 'success');
+        updateSplitControl();
+        applySearchFilter();
+        updateVocSaveControl();
+        setDrawClassId(drawClassId);
+        refreshClassPanel().catch(console.error);
+        showNotification(`Loaded ${count} images${getClassesLoadedSuffix()}`, 'success');
+        warnPairingIssues();
         updateToolbarState();
         updateStatusBar();
         draw();
@@ -460,9 +1143,13 @@ async function loadFromDrop(items) {
         }
 
         setDropZoneVisible(false);
-        renderImageList(getAllIndices());
-        updateImageCountLabel();
-        showNotification(`Loaded ${count} images (read-only)`, 'info');
+        updateSplitControl();
+        applySearchFilter();
+        updateVocSaveControl();
+        setDrawClassId(drawClassId);
+        refreshClassPanel().catch(console.error);
+        showNotification(`Loaded ${count} images${getClassesLoadedSuffix()} (read-only)`, 'info');
+        warnPairingIssues();
         updateToolbarState();
         updateStatusBar();
         draw();
@@ -474,14 +1161,25 @@ async function loadFromDrop(items) {
 async function selectImage(index) {
     if (index < 0 || index >= datasetLoader.count) return;
 
+    // Images reached by goto, search results or reports may be in another split
+    const split = datasetLoader.getEntry(index).split;
+    if (currentSplit !== null && split !== currentSplit) {
+        setSplitFilter(split);
+    }
+
     setLoading(true);
     try {
         currentIndex = index;
         selectionRect = null;
+        drawRect = null;
+        drawPointerId = null;
+        transformDrag = null;
+        selectedPredictionId = null;
 
-        const [bitmap, labels] = await Promise.all([
+        const [bitmap, labels, predictions] = await Promise.all([
             datasetLoader.loadImage(index),
-            datasetLoader.loadLabels(index)
+            datasetLoader.loadLabels(index),
+            datasetLoader.loadPredictions(index)
         ]);
 
         if (!bitmap) {
@@ -492,13 +1190,17 @@ async function selectImage(index) {
         currentBitmap = bitmap;
         currentImageWidth = bitmap.width;
         currentImageHeight = bitmap.height;
+        predictionBoxes = predictions;
 
-        stateManager.initImageState(index, labels);
+        stateManager.initImageState(index, labels, datasetLoader.getDiagnostics(index));
+        deselectHiddenBoxes();
         syncModifiedFlag(index);
 
         datasetLoader.updateLabelCache(index, stateManager.getCurrentBoxes());
+        warnUnknownClasses(index);
+        warnRejectedPredictions(index);
 
-        zoom = 1;
+        resetView();
 
         refreshVisibleListItems();
         updateToolbarState();
@@ -511,94 +1213,627 @@ async function selectImage(index) {
     }
 }
 
+function warnUnknownClasses(index) {
+    if (warnedUnknownClasses.has(index)) return;
+    const unknown = datasetLoader.classes.findUnknownIds(stateManager.getCurrentBoxes());
+    if (unknown.length === 0) return;
+    warnedUnknownClasses.add(index);
+    const source = datasetLoader.classes.source ?? 'class names';
+    showNotification(`Class id${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} not in ${source}`, 'warning', 4000);
+}
+
+function warnRejectedPredictions(index) {
+    if (warnedRejectedPredictions.has(index)) return;
+    const rejected = datasetLoader.getPredictionDiagnostics(index);
+    if (rejected.length === 0) return;
+    warnedRejectedPredictions.add(index);
+
+    const shown = rejected.slice(0, 3).map(d => `line ${d.lineNumber}: ${d.reason}`).join('; ');
+    const more = rejected.length > 3 ? `; ${rejected.length - 3} more` : '';
+    showNotification(
+        `${rejected.length} prediction line${rejected.length === 1 ? '' : 's'} could not be read (${shown}${more})`,
+        'warning',
+        6000
+    );
+}
+
 function getBoxUnderPoint(imageX, imageY) {
     const boxes = stateManager.getCurrentBoxes();
     for (let i = boxes.length - 1; i >= 0; i--) {
         const b = boxes[i];
-        if (b.deleted) continue;
-        const pixel = LabelParser.toPixelCoords(b, currentImageWidth, currentImageHeight);
-        if (
-            imageX >= pixel.x &&
-            imageX <= pixel.x + pixel.w &&
-            imageY >= pixel.y &&
-            imageY <= pixel.y + pixel.h
-        ) {
+        if (b.deleted || !isClassVisible(b.classId)) continue;
+        if (LabelParser.hitTest(imageX, imageY, b, currentImageWidth, currentImageHeight)) {
             return b;
         }
     }
     return null;
 }
 
-function finalizeSelectionRect(addToSelection = true) {
-    if (!selectionRect) return;
-    const x1 = Math.min(selectionRect.x1, selectionRect.x2);
-    const y1 = Math.min(selectionRect.y1, selectionRect.y2);
-    const x2 = Math.max(selectionRect.x1, selectionRect.x2);
-    const y2 = Math.max(selectionRect.y1, selectionRect.y2);
+function getVisiblePredictions() {
+    if (!showPredictions) return [];
 
-    if (Math.abs(x2 - x1) < 3 || Math.abs(y2 - y1) < 3) return;
+    // Predictions already accepted into the labels are not shown twice
+    const accepted = new Set(
+        stateManager.getCurrentBoxes()
+            .filter(b => !b.deleted && b.predictionId)
+            .map(b => b.predictionId)
+    );
+    return predictionBoxes.filter(p => (
+        (p.confidence ?? 1) >= confThreshold && !accepted.has(p.id) && isClassVisible(p.classId)
+    ));
+}
 
-    const imgA = canvasPxToImagePx(x1, y1);
-    const imgB = canvasPxToImagePx(x2, y2);
+function getComparisonPredictions(predictions) {
+    // Accepted predictions still count, so they match the labels made from them
+    return predictions.filter(p => (p.confidence ?? 1) >= confThreshold);
+}
 
-    const rectImg = {
-        x: Math.min(imgA.x, imgB.x),
-        y: Math.min(imgA.y, imgB.y),
-        w: Math.abs(imgB.x - imgA.x),
-        h: Math.abs(imgB.y - imgA.y)
+function getCurrentComparison() {
+    return BoxMatcher.match(stateManager.getCurrentBoxes(), getComparisonPredictions(predictionBoxes), iouThreshold);
+}
+
+async function loadComparisonImages() {
+    const images = [];
+    for (let index = 0; index < datasetLoader.count; index++) {
+        // Images without a prediction file had nothing detected
+        const gt = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+        const preds = await datasetLoader.loadPredictions(index);
+        images.push({ index, gt, preds });
+    }
+    return images;
+}
+
+async function computeErrorRanking() {
+    const ranking = [];
+    for (const { index, gt, preds } of await loadComparisonImages()) {
+        const result = BoxMatcher.match(gt, getComparisonPredictions(preds), iouThreshold);
+        const errors = result.falsePositives.length + result.falseNegatives.length;
+        if (errors > 0) ranking.push({ index, errors });
+    }
+    ranking.sort((a, b) => b.errors - a.errors || a.index - b.index);
+    return ranking;
+}
+
+async function showEvaluationReport() {
+    if (!datasetLoader.hasPredictions()) {
+        showNotification('Load a predictions folder to evaluate', 'info');
+        return;
+    }
+
+    setLoading(true);
+    let report;
+    try {
+        report = Evaluator.evaluate(await loadComparisonImages(), { confThreshold });
+    } finally {
+        setLoading(false);
+    }
+
+    renderEvaluationReport(report);
+    if (!ui.evalModal.open) ui.evalModal.showModal();
+}
+
+function renderEvaluationReport(report) {
+    const pct = v => v.toFixed(3);
+    const cell = (tag, text) => {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        return el;
+    };
+    const row = (tag, values, className = '') => {
+        const tr = document.createElement('tr');
+        if (className) tr.className = className;
+        for (const v of values) tr.appendChild(cell(tag, v));
+        return tr;
     };
 
-    if (!addToSelection) stateManager.clearSelection();
+    ui.evalSummary.textContent = `${report.all.images} images, ${report.all.labels} labels. ` +
+        `Precision and recall at IoU 0.50 and confidence \u2265 ${confThreshold.toFixed(2)}; ` +
+        'AP uses all predictions.';
+
+    ui.evalTable.textContent = '';
+    const head = document.createElement('thead');
+    head.appendChild(row('th', ['Class', 'Images', 'Labels', 'P', 'R', 'AP50', 'AP50-95']));
+    ui.evalTable.appendChild(head);
+
+    const body = document.createElement('tbody');
+    const all = report.all;
+    body.appendChild(row('td', ['all', all.images, all.labels, pct(all.precision), pct(all.recall),
+        pct(all.ap50), pct(all.ap5095)].map(String), 'report-total'));
+    for (const c of report.classes) {
+        body.appendChild(row('td', [datasetLoader.classes.getLabel(c.classId), c.images, c.labels,
+            pct(c.precision), pct(c.recall), pct(c.ap50), pct(c.ap5095)].map(String)));
+    }
+    ui.evalTable.appendChild(body);
+
+    // Confusion matrix, with background as the last row and column
+    const ids = [...report.confusion.classIds, null];
+    const name = id => (id === null ? 'background' : datasetLoader.classes.getName(id));
+    let max = 0;
+    for (const t of ids) {
+        for (const p of ids) max = Math.max(max, Evaluator.getConfusionCount(report.confusion, t, p));
+    }
 
-    const boxes = stateManager.getCurrentBoxes();
-    for (const b of boxes) {
-        if (b.deleted) continue;
-        const pixel = LabelParser.toPixelCoords(b, currentImageWidth, currentImageHeight);
-        const intersects = LabelParser.rectsIntersect(
-            { x: rectImg.x, y: rectImg.y, w: rectImg.w, h: rectImg.h },
-            { x: pixel.x, y: pixel.y, w: pixel.w, h: pixel.h }
-        );
-        if (intersects) b.selected = true;
+    ui.evalConfusion.textContent = '';
+    const matrixHead = document.createElement('thead');
+    matrixHead.appendChild(row('th', ['label \\ pred', ...ids.map(name)]));
+    ui.evalConfusion.appendChild(matrixHead);
+
+    const matrixBody = document.createElement('tbody');
+    for (const t of ids) {
+        const tr = document.createElement('tr');
+        tr.appendChild(cell('th', name(t)));
+        for (const p of ids) {
+            const count = Evaluator.getConfusionCount(report.confusion, t, p);
+            const td = cell('td', count ? String(count) : '');
+            if (count > 0) {
+                // Matches on the diagonal in green, confusions in red
+                const alpha = (0.15 + 0.6 * count / max).toFixed(2);
+                td.style.background = t === p ? `rgba(76,175,80,${alpha})` : `rgba(244,67,54,${alpha})`;
+            }
+            tr.appendChild(td);
+        }
+        matrixBody.appendChild(tr);
     }
+    ui.evalConfusion.appendChild(matrixBody);
 }
 
-function doDeleteSelected(goNext = false) {
-    if (!hasImageSelected()) return;
-    const deleted = stateManager.deleteSelected();
-    if (deleted <= 0) return;
+async function setCompareMode(enabled) {
+    if (enabled && !datasetLoader.hasPredictions()) {
+        showNotification('Load a predictions folder to compare against', 'info');
+        return;
+    }
 
-    syncModifiedFlag(currentIndex);
-    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+    compareMode = enabled;
+    if (enabled) {
+        showPredictions = true;
+        if (!errorRanking) {
+            setLoading(true);
+            try {
+                errorRanking = await computeErrorRanking();
+            } finally {
+                setLoading(false);
+            }
+        }
+        showNotification(`${errorRanking.length} images where labels and predictions disagree`, 'info');
+    }
 
-    showNotification(`Deleted ${deleted} box${deleted === 1 ? '' : 'es'}`, 'success');
-    refreshVisibleListItems();
     updateToolbarState();
     updateStatusBar();
     draw();
+}
 
-    if (goNext) {
-        const next = Math.min(datasetLoader.count - 1, currentIndex + 1);
-        if (next !== currentIndex) {
-            selectImage(next).catch(() => { });
+async function jumpToErrorImage(delta) {
+    if (!compareMode) return;
+
+    if (!errorRanking) {
+        setLoading(true);
+        try {
+            errorRanking = await computeErrorRanking();
+        } finally {
+            setLoading(false);
         }
     }
+
+    // The order is kept while reviewing so fixing an image does not reshuffle the list
+    const pos = errorRanking.findIndex(r => r.index === currentIndex);
+    const next = pos < 0 ? (delta > 0 ? 0 : errorRanking.length - 1) : pos + delta;
+    if (next < 0 || next >= errorRanking.length) {
+        showNotification(delta > 0 ? 'No more images with errors' : 'Already at the image with most errors', 'info');
+        return;
+    }
+
+    await selectImage(errorRanking[next].index);
+    showNotification(`Error rank ${next + 1}/${errorRanking.length}: ${errorRanking[next].errors} errors`, 'info');
 }
 
-function doUndo() {
-    if (!hasImageSelected()) return;
-    if (!stateManager.undo()) return;
-    syncModifiedFlag(currentIndex);
-    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
-    refreshVisibleListItems();
-    updateToolbarState();
+function setIouThreshold(value) {
+    if (!Number.isFinite(value)) return;
+    iouThreshold = clamp(value, 0.05, 0.95);
+    ui.iouThreshold.value = String(iouThreshold);
+    errorRanking = null;
     updateStatusBar();
     draw();
 }
 
-function doRedo() {
+function getPredictionUnderPoint(imageX, imageY) {
+    const visible = getVisiblePredictions();
+    for (let i = visible.length - 1; i >= 0; i--) {
+        if (LabelParser.hitTest(imageX, imageY, visible[i], currentImageWidth, currentImageHeight)) {
+            return visible[i];
+        }
+    }
+    return null;
+}
+
+function doAcceptPrediction() {
     if (!hasImageSelected()) return;
-    if (!stateManager.redo()) return;
-    syncModifiedFlag(currentIndex);
+
+    const pred = getVisiblePredictions().find(p => p.id === selectedPredictionId);
+    if (!pred) {
+        showNotification('Click a prediction to select it first', 'info');
+        return;
+    }
+
+    const box = LabelParser.cloneBox(pred);
+    box.id = crypto.randomUUID();
+    box.lineIndex = null;
+    box.predictionId = pred.id;
+    delete box.confidence;
+
+    const added = stateManager.addBox(box);
+    if (!added) return;
+
+    selectedPredictionId = null;
+    stateManager.selectBox(added.id);
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function setShowPredictions(show) {
+    showPredictions = show;
+    if (!show) {
+        selectedPredictionId = null;
+        compareMode = false;
+    }
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function setConfThreshold(value) {
+    confThreshold = clamp(value, 0, 1);
+    errorRanking = null;
+    ui.confThreshold.value = String(confThreshold);
+    ui.confThresholdValue.textContent = confThreshold.toFixed(2);
+    updateStatusBar();
+    draw();
+}
+
+async function applyPredictions(result) {
+    if (!result) return;
+
+    const { count, issues } = datasetLoader.setPredictions(result.name, result.labels);
+    const unpaired = issues > 0
+        ? `; ${issues} image(s) without an unambiguous prediction file were left out`
+        : '';
+    if (count === 0) {
+        showNotification(`No prediction files in ${result.name} match the loaded images${unpaired}`, 'warning');
+    } else {
+        showNotification(
+            `Loaded predictions for ${count} images from ${result.name}${unpaired}`,
+            issues > 0 ? 'warning' : 'success'
+        );
+    }
+
+    showPredictions = true;
+    selectedPredictionId = null;
+    errorRanking = null;
+    warnedRejectedPredictions.clear();
+    predictionBoxes = hasImageSelected() ? await datasetLoader.loadPredictions(currentIndex) : [];
+    if (hasImageSelected()) warnRejectedPredictions(currentIndex);
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+async function loadPredictionsFolder() {
+    if (!hasDatasetLoaded()) return;
+
+    if (!fileManager.hasFileSystemAccess) {
+        ui.predictionsInput.click();
+        return;
+    }
+
+    setLoading(true);
+    try {
+        await applyPredictions(await fileManager.openPredictionsFolder());
+    } finally {
+        setLoading(false);
+    }
+}
+
+function getKeypointUnderPoint(canvasX, canvasY) {
+    const boxes = stateManager.getCurrentBoxes();
+    const tolerance = getKeypointRadius() * 2;
+    for (let i = boxes.length - 1; i >= 0; i--) {
+        const b = boxes[i];
+        if (b.deleted || !b.selected || !b.keypoints) continue;
+        const points = getKeypointCanvasPoints(b);
+        for (let k = 0; k < points.length; k++) {
+            const p = points[k];
+            if (p.hidden) continue;
+            if (Math.hypot(canvasX - p.x, canvasY - p.y) <= tolerance) {
+                return { box: b, index: k };
+            }
+        }
+    }
+    return null;
+}
+
+function doCycleKeypoint(boxId, keypointIndex) {
+    const visibility = stateManager.cycleKeypointVisibility(boxId, keypointIndex);
+    if (visibility === null) return false;
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+
+    const names = ['not labeled', 'occluded', 'visible'];
+    showNotification(`Keypoint ${keypointIndex}: ${names[visibility]}`, 'info', 1200);
+    refreshVisibleListItems();
+    return true;
+}
+
+function getHandleUnderPoint(canvasX, canvasY) {
+    const boxes = stateManager.getCurrentBoxes();
+    const tolerance = getHandleSize();
+    for (let i = boxes.length - 1; i >= 0; i--) {
+        const b = boxes[i];
+        if (!hasResizeHandles(b)) continue;
+        for (const p of getHandlePoints(getBoxCanvasRect(b))) {
+            if (Math.abs(canvasX - p.x) <= tolerance && Math.abs(canvasY - p.y) <= tolerance) {
+                return { box: b, handle: p.name };
+            }
+        }
+    }
+    return null;
+}
+
+function beginTransformDrag(pointerId, mode, handle, img, boxes) {
+    const originals = new Map();
+    for (const b of boxes) {
+        originals.set(b.id, LabelParser.toPixelCoords(b, currentImageWidth, currentImageHeight));
+    }
+    transformDrag = {
+        pointerId,
+        mode,
+        handle,
+        startX: img.x,
+        startY: img.y,
+        originals,
+        before: boxes.map(b => LabelParser.cloneBox(b))
+    };
+}
+
+function setBoxPixelRect(box, x, y, w, h) {
+    const normalized = LabelParser.toNormalizedCoords({ x, y, w, h }, currentImageWidth, currentImageHeight);
+    LabelParser.setBounds(box, normalized);
+}
+
+function updateTransformDrag(img) {
+    if (!transformDrag) return;
+    const boxes = stateManager.getCurrentBoxes();
+    let dx = img.x - transformDrag.startX;
+    let dy = img.y - transformDrag.startY;
+
+    if (transformDrag.mode === 'move') {
+        // Clamp the whole group so every box stays inside the image
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const o of transformDrag.originals.values()) {
+            minX = Math.min(minX, o.x);
+            minY = Math.min(minY, o.y);
+            maxX = Math.max(maxX, o.x + o.w);
+            maxY = Math.max(maxY, o.y + o.h);
+        }
+        dx = clamp(dx, Math.min(0, -minX), Math.max(0, currentImageWidth - maxX));
+        dy = clamp(dy, Math.min(0, -minY), Math.max(0, currentImageHeight - maxY));
+
+        for (const [id, o] of transformDrag.originals) {
+            const box = boxes.find(b => b.id === id);
+            if (box) setBoxPixelRect(box, o.x + dx, o.y + dy, o.w, o.h);
+        }
+        return;
+    }
+
+    const [id, o] = transformDrag.originals.entries().next().value;
+    const box = boxes.find(b => b.id === id);
+    if (!box) return;
+
+    const handle = transformDrag.handle;
+    const minSize = 1;
+    let x1 = o.x;
+    let y1 = o.y;
+    let x2 = o.x + o.w;
+    let y2 = o.y + o.h;
+
+    if (handle.includes('w')) x1 = clamp(o.x + dx, 0, x2 - minSize);
+    if (handle.includes('e')) x2 = clamp(o.x + o.w + dx, x1 + minSize, currentImageWidth);
+    if (handle.includes('n')) y1 = clamp(o.y + dy, 0, y2 - minSize);
+    if (handle.includes('s')) y2 = clamp(o.y + o.h + dy, y1 + minSize, currentImageHeight);
+
+    setBoxPixelRect(box, x1, y1, x2 - x1, y2 - y1);
+}
+
+function finalizeTransformDrag() {
+    if (!transformDrag) return;
+    const changed = stateManager.commitTransform(transformDrag.before);
+    transformDrag = null;
+    if (!changed) return;
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+    refreshVisibleListItems();
+}
+
+// Put the dragged boxes back where they started, without an undo step
+function cancelTransformDrag() {
+    if (!transformDrag) return;
+    const boxes = stateManager.getCurrentBoxes();
+    for (const [id, o] of transformDrag.originals) {
+        const box = boxes.find(b => b.id === id);
+        if (box) setBoxPixelRect(box, o.x, o.y, o.w, o.h);
+    }
+    transformDrag = null;
+}
+
+function getCanvasCursor(canvasX, canvasY) {
+    if (spaceHeld) return 'grab';
+    const hit = getHandleUnderPoint(canvasX, canvasY);
+    if (hit) return `${hit.handle}-resize`;
+    if (activeTool === 'select') {
+        const img = canvasPxToImagePx(canvasX, canvasY);
+        const box = getBoxUnderPoint(img.x, img.y);
+        if (box && box.selected) return 'move';
+    }
+    return '';
+}
+
+function finalizeSelectionRect(addToSelection = true) {
+    if (!selectionRect) return;
+    const x1 = Math.min(selectionRect.x1, selectionRect.x2);
+    const y1 = Math.min(selectionRect.y1, selectionRect.y2);
+    const x2 = Math.max(selectionRect.x1, selectionRect.x2);
+    const y2 = Math.max(selectionRect.y1, selectionRect.y2);
+
+    if (Math.abs(x2 - x1) < 3 || Math.abs(y2 - y1) < 3) return;
+
+    const imgA = canvasPxToImagePx(x1, y1);
+    const imgB = canvasPxToImagePx(x2, y2);
+
+    const rectImg = {
+        x: Math.min(imgA.x, imgB.x),
+        y: Math.min(imgA.y, imgB.y),
+        w: Math.abs(imgB.x - imgA.x),
+        h: Math.abs(imgB.y - imgA.y)
+    };
+
+    if (!addToSelection) stateManager.clearSelection();
+
+    const boxes = stateManager.getCurrentBoxes();
+    for (const b of boxes) {
+        if (b.deleted || !isClassVisible(b.classId)) continue;
+        const pixel = LabelParser.toPixelCoords(b, currentImageWidth, currentImageHeight);
+        let intersects = LabelParser.rectsIntersect(
+            { x: rectImg.x, y: rectImg.y, w: rectImg.w, h: rectImg.h },
+            { x: pixel.x, y: pixel.y, w: pixel.w, h: pixel.h }
+        );
+        if (intersects && b.points) {
+            // The extent overlapping is not enough for rotated boxes and polygons
+            const points = LabelParser.getPixelPoints(b, currentImageWidth, currentImageHeight);
+            intersects = LabelParser.polygonIntersectsRect(points, rectImg);
+        }
+        if (intersects) b.selected = true;
+    }
+}
+
+function finalizeDrawRect() {
+    if (!drawRect) return;
+    const x1 = clamp(Math.min(drawRect.x1, drawRect.x2), 0, currentImageWidth);
+    const y1 = clamp(Math.min(drawRect.y1, drawRect.y2), 0, currentImageHeight);
+    const x2 = clamp(Math.max(drawRect.x1, drawRect.x2), 0, currentImageWidth);
+    const y2 = clamp(Math.max(drawRect.y1, drawRect.y2), 0, currentImageHeight);
+
+    // Ignore clicks and tiny drags (measured in canvas pixels)
+    const { scale } = getViewTransform();
+    if ((x2 - x1) * scale < 3 || (y2 - y1) * scale < 3) return;
+
+    const box = LabelParser.toNormalizedCoords({
+        id: crypto.randomUUID(),
+        classId: drawClassId,
+        x: x1,
+        y: y1,
+        w: x2 - x1,
+        h: y2 - y1,
+        deleted: false,
+        selected: false
+    }, currentImageWidth, currentImageHeight);
+    box.type = 'bbox';
+    box.lineIndex = null;
+
+    const added = stateManager.addBox(box);
+    if (!added) return;
+    stateManager.selectBox(added.id);
+    revealClass(added.classId);
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+    refreshVisibleListItems();
+}
+
+function setActiveTool(tool) {
+    activeTool = tool;
+    drawRect = null;
+    drawPointerId = null;
+    ui.canvasContainer.classList.toggle('drawing', tool === 'draw');
+    updateToolbarState();
+    draw();
+}
+
+function setDrawClassId(classId) {
+    if (!Number.isInteger(classId) || classId < 0) return;
+    drawClassId = classId;
+    ui.drawClass.value = String(classId);
+    const classes = datasetLoader.classes;
+    ui.drawClassName.textContent = classes.hasNames() ? classes.getName(classId) : '';
+    ui.drawClassName.classList.toggle('unknown', !classes.isKnown(classId));
+    renderClassPanel();
+}
+
+function doSetClass(classId) {
+    if (!hasImageSelected()) return;
+    if (!Number.isInteger(classId) || classId < 0) return;
+
+    // The picked class also becomes the class for newly drawn boxes
+    setDrawClassId(classId);
+
+    const changed = stateManager.setSelectedClass(classId);
+    if (changed <= 0) {
+        updateStatusBar();
+        return;
+    }
+    revealClass(classId);
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+
+    showNotification(`Set class ${datasetLoader.classes.getLabel(classId)} on ${changed} box${changed === 1 ? '' : 'es'}`, 'success');
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function doDeleteSelected(goNext = false) {
+    if (!hasImageSelected()) return;
+    const deleted = stateManager.deleteSelected();
+    if (deleted <= 0) return;
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+
+    showNotification(`Deleted ${deleted} box${deleted === 1 ? '' : 'es'}`, 'success');
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+
+    if (goNext) {
+        const next = Math.min(datasetLoader.count - 1, currentIndex + 1);
+        if (next !== currentIndex) {
+            selectImage(next).catch(() => { });
+        }
+    }
+}
+
+function doUndo() {
+    if (!hasImageSelected()) return;
+    if (!stateManager.undo()) return;
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function doRedo() {
+    if (!hasImageSelected()) return;
+    if (!stateManager.redo()) return;
+    syncModifiedFlag(currentIndex);
     datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
     refreshVisibleListItems();
     updateToolbarState();
@@ -609,17 +1844,34 @@ function doRedo() {
 async function doSaveCurrent() {
     if (!hasImageSelected()) return;
     if (!stateManager.isCurrentModified()) return;
+    if (datasetLoader.getEntry(currentIndex).pairingIssue) {
+        showNotification('This image has no unambiguous label file; rename the files to save its labels', 'warning', 4000);
+        return;
+    }
 
     setLoading(true);
     try {
         const boxesForSave = stateManager.getBoxesForSave();
-        const ok = await datasetLoader.saveLabels(currentIndex, boxesForSave);
+        const keptLines = stateManager.getKeptLineIndexes();
+        const conflict = await resolveSaveConflict(currentIndex, boxesForSave, keptLines);
+        if (conflict !== 'save') {
+            if (conflict === 'reloaded') {
+                showNotification('Reloaded the labels from disk', 'info');
+                refreshVisibleListItems();
+                updateToolbarState();
+                updateStatusBar();
+                draw();
+            }
+            return;
+        }
+
+        const ok = await datasetLoader.saveLabels(currentIndex, boxesForSave, keptLines);
         if (!ok) {
             showNotification('Save failed', 'error');
             return;
         }
 
-        stateManager.markSaved();
+        stateManager.markSaved(datasetLoader.getDiagnostics(currentIndex));
         datasetLoader.markSaved(currentIndex);
         datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
 
@@ -633,94 +1885,1475 @@ async function doSaveCurrent() {
     }
 }
 
-async function doSaveAll() {
-    const modified = [...stateManager.getModifiedIndices()];
-    if (modified.length === 0) return;
+async function doSaveAll() {
+    const modified = [...stateManager.getModifiedIndices()];
+    if (modified.length === 0) return;
+
+    setLoading(true);
+    try {
+        if (fileManager.isReadOnly) {
+            const modifiedLabels = new Map();
+            for (const idx of modified) {
+                stateManager.setCurrentIndex(idx);
+                const entry = datasetLoader.getEntry(idx);
+                if (!entry) continue;
+                const boxesForSave = stateManager.getBoxesForSave();
+                // Labels keep the split and folder of their image, where basenames may repeat
+                const fileName = datasetLoader.getLabelFileName(idx);
+                modifiedLabels.set(
+                    [entry.split, entry.folder, fileName].filter(Boolean).join('/'),
+                    datasetLoader.buildLabelContent(idx, boxesForSave, stateManager.getKeptLineIndexes()).content
+                );
+            }
+            await fileManager.downloadAllAsZip(modifiedLabels);
+
+            for (const idx of modified) {
+                stateManager.markSavedAt(idx);
+                datasetLoader.markSaved(idx);
+                stateManager.setCurrentIndex(idx);
+                datasetLoader.updateLabelCache(idx, stateManager.getCurrentBoxes());
+            }
+            stateManager.setCurrentIndex(currentIndex);
+            showNotification('Downloaded modified labels (zip)', 'success');
+        } else {
+            // Images with a pairing issue are read-only
+            const unpaired = modified.filter(idx => datasetLoader.getEntry(idx).pairingIssue);
+            const saved = await saveLabelsAt(modified.filter(idx => !unpaired.includes(idx)));
+            if (saved && unpaired.length === 0) {
+                showNotification('Saved all modified', 'success');
+            } else if (saved) {
+                showNotification(
+                    `Saved all modified except ${unpaired.length} image${unpaired.length === 1 ? '' : 's'} ` +
+                        'without an unambiguous label file (marked ?)',
+                    'warning',
+                    4000
+                );
+            } else {
+                showNotification('Save all: some files were not saved', 'warning');
+            }
+        }
+
+        refreshVisibleListItems();
+        updateToolbarState();
+        updateStatusBar();
+        draw();
+    } finally {
+        setLoading(false);
+    }
+}
+
+/**
+ * Write the edited labels of some images to disk
+ * Label files changed on disk since they were loaded are only overwritten if the user agrees
+ * @param {Iterable<number>} indices
+ * @param {{saved: Array<number>, reloaded: Array<number>}} [report] - Filled with the images written,
+ *   and those whose labels were reloaded from disk instead
+ * @returns {Promise<boolean>} False if a file failed to save or the user cancelled (later ones are not attempted)
+ */
+async function saveLabelsAt(indices, report = { saved: [], reloaded: [] }) {
+    try {
+        for (const idx of indices) {
+            stateManager.setCurrentIndex(idx);
+            const boxesForSave = stateManager.getBoxesForSave();
+            const keptLines = stateManager.getKeptLineIndexes();
+            const conflict = await resolveSaveConflict(idx, boxesForSave, keptLines);
+            if (conflict === 'cancel') return false;
+            if (conflict === 'reloaded') {
+                report.reloaded.push(idx);
+                continue;
+            }
+
+            const ok = await datasetLoader.saveLabels(idx, boxesForSave, keptLines);
+            if (!ok) return false;
+            report.saved.push(idx);
+            stateManager.markSavedAt(idx, datasetLoader.getDiagnostics(idx));
+            datasetLoader.markSaved(idx);
+            stateManager.setCurrentIndex(idx);
+            datasetLoader.updateLabelCache(idx, stateManager.getCurrentBoxes());
+        }
+        return true;
+    } finally {
+        stateManager.setCurrentIndex(currentIndex);
+    }
+}
+
+/**
+ * Check an image's label file for changes made on disk since it was loaded, before saving over it
+ * On a change the user decides: overwrite it, keep the file on disk (dropping the edits) or cancel
+ * @param {number} index
+ * @param {Array} boxesForSave
+ * @param {Set<number>} keptLines
+ * @returns {Promise<'save'|'reloaded'|'cancel'>}
+ */
+async function resolveSaveConflict(index, boxesForSave, keptLines) {
+    const change = await datasetLoader.getExternalChange(index);
+    if (!change) return 'save';
+
+    const entry = datasetLoader.getEntry(index);
+    ui.saveConflictName.textContent = getEntryPath(entry);
+    ui.saveConflictChange.textContent = change.deleted ? 'deleted' : change.created ? 'created' : 'changed';
+    ui.saveConflictReload.textContent = change.deleted ? 'Discard my edits' : 'Reload theirs';
+    ui.saveConflictShowDiff.disabled = false;
+    ui.saveConflictDiff.textContent = '';
+    ui.saveConflictDiff.classList.add('hidden');
+
+    const ours = datasetLoader.buildLabelContent(index, boxesForSave, keptLines).content;
+    const choice = await new Promise((resolve) => {
+        pendingSaveConflict = { resolve, theirs: change.content, ours };
+        ui.saveConflictModal.showModal();
+    });
+
+    if (choice === 'reload') {
+        await reloadLabelsFromDisk(index);
+        return 'reloaded';
+    }
+    return choice === 'overwrite' ? 'save' : 'cancel';
+}
+
+/**
+ * Close the conflict dialog with the user's choice
+ * @param {'overwrite'|'reload'|'cancel'} choice
+ */
+function finishSaveConflict(choice) {
+    const pending = pendingSaveConflict;
+    pendingSaveConflict = null;
+    closeDialogSafe(ui.saveConflictModal);
+    pending?.resolve(choice);
+}
+
+function showSaveConflictDiff() {
+    if (!pendingSaveConflict) return;
+
+    const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+    const lines = TextDiff.lines(pendingSaveConflict.theirs, pendingSaveConflict.ours);
+    ui.saveConflictDiff.textContent = '';
+    for (const line of lines) {
+        const row = document.createElement('div');
+        row.className = `diff-line diff-${line.type}`;
+        row.textContent = prefixes[line.type] + line.text;
+        ui.saveConflictDiff.appendChild(row);
+    }
+    if (lines.length === 0) {
+        ui.saveConflictDiff.textContent = 'Both versions are empty';
+    }
+
+    ui.saveConflictDiff.classList.remove('hidden');
+    ui.saveConflictShowDiff.disabled = true;
+}
+
+/**
+ * Drop the edits of an image and load its labels as they are on disk now
+ * @param {number} index
+ */
+async function reloadLabelsFromDisk(index) {
+    stateManager.clearImageState(index);
+    const labels = await datasetLoader.reloadLabels(index);
+    datasetLoader.markSaved(index);
+    warnedUnknownClasses.delete(index);
+    errorRanking = null;
+
+    if (index === currentIndex) {
+        stateManager.initImageState(index, labels, datasetLoader.getDiagnostics(index));
+        deselectHiddenBoxes();
+        datasetLoader.updateLabelCache(index, stateManager.getCurrentBoxes());
+        warnUnknownClasses(index);
+    }
+}
+
+/**
+ * Scan the dataset folder again for images and labels added or removed outside the app
+ * Unsaved edits must be saved first, as images may move to other indices
+ */
+async function reloadFromDisk() {
+    if (!datasetLoader.canReload()) return;
+    if (stateManager.hasUnsavedChanges()) {
+        showNotification('Save your edits before reloading the folder from disk', 'warning', 4000);
+        return;
+    }
+
+    const before = new Set(datasetLoader.getAllEntries().map(getEntryPath));
+    const currentPath = hasImageSelected() ? getEntryPath(datasetLoader.getEntry(currentIndex)) : null;
+    const split = currentSplit;
+    const query = ui.searchImages.value;
+
+    setLoading(true);
+    try {
+        await resetAppState();
+
+        const count = await datasetLoader.reloadDataset();
+        if (count <= 0) {
+            showNotification('No images left in the folder', 'warning');
+            updateToolbarState();
+            updateStatusBar();
+            return;
+        }
+
+        const paths = datasetLoader.getAllEntries().map(getEntryPath);
+        const added = paths.filter(path => !before.has(path)).length;
+        const gone = before.size - (paths.length - added);
+
+        if (datasetLoader.getSplits().includes(split)) currentSplit = split;
+        ui.searchImages.value = query;
+        setDropZoneVisible(false);
+        updateSplitControl();
+        applySearchFilter();
+        updateVocSaveControl();
+        setDrawClassId(drawClassId);
+        refreshClassPanel().catch(console.error);
+        showNotification(
+            `Reloaded ${count} images from disk (${added} new, ${gone} gone)`,
+            'success'
+        );
+        warnPairingIssues();
+        updateToolbarState();
+        updateStatusBar();
+        draw();
+
+        const index = paths.indexOf(currentPath);
+        if (index >= 0) await selectImage(index);
+    } finally {
+        setLoading(false);
+    }
+}
+
+async function doExportCoco() {
+    if (!hasDatasetLoaded()) return;
+
+    setLoading(true);
+    try {
+        const result = await datasetLoader.exportCoco(index => stateManager.getBoxesAt(index));
+        fileManager.downloadFile('instances.json', result.content);
+
+        const skipped = result.skipped > 0 ? ` (${result.skipped} unreadable images skipped)` : '';
+        showNotification(
+            `Exported ${result.images} images, ${result.annotations} annotations${skipped}`,
+            result.skipped > 0 ? 'warning' : 'success'
+        );
+    } catch (e) {
+        console.error('COCO export failed:', e);
+        showNotification('COCO export failed', 'error');
+    } finally {
+        setLoading(false);
+    }
+}
+
+function zoomIn() {
+    if (!hasImageSelected()) return;
+    zoomAt(1.25, ui.canvas.width / 2, ui.canvas.height / 2);
+    updateStatusBar();
+    draw();
+}
+
+function zoomOut() {
+    if (!hasImageSelected()) return;
+    zoomAt(1 / 1.25, ui.canvas.width / 2, ui.canvas.height / 2);
+    updateStatusBar();
+    draw();
+}
+
+function zoomFit() {
+    if (!hasImageSelected()) return;
+    resetView();
+    updateStatusBar();
+    draw();
+}
+
+function navigate(delta) {
+    if (!hasDatasetLoaded()) return;
+    // Stay inside the split shown in the list
+    const indices = datasetLoader.getSplitIndices(currentSplit);
+    if (indices.length === 0) return;
+    const position = Math.max(0, indices.indexOf(currentIndex));
+    const next = indices[clamp(position + delta, 0, indices.length - 1)];
+    selectImage(next).catch(() => { });
+}
+
+function showGotoModal() {
+    if (!hasDatasetLoaded()) return;
+    ui.gotoMax.textContent = String(datasetLoader.count);
+    ui.gotoInput.min = '1';
+    ui.gotoInput.max = String(Math.max(1, datasetLoader.count));
+    ui.gotoInput.value = String(hasImageSelected() ? currentIndex + 1 : 1);
+    ui.gotoModal.showModal();
+    ui.gotoInput.focus();
+    ui.gotoInput.select?.();
+}
+
+function showClassModal() {
+    if (!hasImageSelected()) return;
+    const selected = stateManager.getSelectedCount();
+    ui.classTarget.textContent = selected > 0
+        ? `${selected} selected box${selected === 1 ? '' : 'es'}`
+        : 'new boxes';
+    ui.classInput.value = String(drawClassId);
+    renderClassList();
+    ui.classModal.showModal();
+    ui.classInput.focus();
+    ui.classInput.select?.();
+}
+
+function renderClassList() {
+    ui.classList.textContent = '';
+    const classes = datasetLoader.classes.getAll();
+    ui.classList.classList.toggle('hidden', classes.length === 0);
+
+    for (const { id, name } of classes) {
+        const item = document.createElement('button');
+        item.className = 'class-list-item';
+        item.classList.toggle('active', id === drawClassId);
+
+        const idEl = document.createElement('span');
+        idEl.className = 'class-list-id';
+        idEl.textContent = String(id);
+
+        const nameEl = document.createElement('span');
+        nameEl.textContent = name;
+
+        item.appendChild(idEl);
+        item.appendChild(nameEl);
+        item.addEventListener('click', () => {
+            closeDialogSafe(ui.classModal);
+            doSetClass(id);
+        });
+        ui.classList.appendChild(item);
+    }
+}
+
+function showIssuesModal() {
+    if (!hasImageSelected()) return;
+    if (stateManager.getRejectedLines().length === 0) {
+        showNotification('No rejected lines in this label file', 'info');
+        return;
+    }
+    renderIssueList();
+    if (!ui.issuesModal.open) ui.issuesModal.showModal();
+}
+
+function renderIssueList() {
+    ui.issueList.textContent = '';
+    const stateLabels = {
+        null: 'Unresolved (kept)',
+        keep: 'Kept as-is',
+        drop: 'Dropped on save',
+        clamp: 'Clamped to [0, 1]'
+    };
+
+    for (const rejected of stateManager.getRejectedLines()) {
+        const item = document.createElement('div');
+        item.className = 'issue-item';
+        item.classList.toggle('resolved', rejected.resolution !== null);
+
+        const header = document.createElement('div');
+        header.className = 'issue-header';
+
+        const lineEl = document.createElement('span');
+        lineEl.className = 'issue-line';
+        lineEl.textContent = `Line ${rejected.lineNumber}`;
+
+        const reasonEl = document.createElement('span');
+        reasonEl.className = 'issue-reason';
+        reasonEl.textContent = rejected.reason;
+
+        const stateEl = document.createElement('span');
+        stateEl.className = 'issue-state';
+        stateEl.textContent = stateLabels[rejected.resolution];
+
+        header.appendChild(lineEl);
+        header.appendChild(reasonEl);
+        header.appendChild(stateEl);
+
+        const raw = document.createElement('code');
+        raw.className = 'issue-raw';
+        raw.textContent = rejected.raw;
+
+        const actions = document.createElement('div');
+        actions.className = 'issue-actions';
+        const addAction = (label, resolution, disabled = false) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-secondary';
+            btn.textContent = label;
+            btn.disabled = disabled || rejected.resolution === resolution;
+            btn.addEventListener('click', () => doResolveRejectedLine(rejected.lineIndex, resolution));
+            actions.appendChild(btn);
+        };
+        addAction('Clamp to [0, 1]', 'clamp', !rejected.repaired);
+        addAction('Keep as-is', 'keep');
+        addAction('Drop', 'drop');
+
+        item.appendChild(header);
+        item.appendChild(raw);
+        item.appendChild(actions);
+        ui.issueList.appendChild(item);
+    }
+}
+
+function doResolveRejectedLine(lineIndex, resolution) {
+    if (!stateManager.resolveRejectedLine(lineIndex, resolution)) return;
+
+    syncModifiedFlag(currentIndex);
+    datasetLoader.updateLabelCache(currentIndex, stateManager.getCurrentBoxes());
+
+    renderIssueList();
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function getCurrentDuplicates() {
+    if (!dedupeMode || !hasImageSelected()) return [];
+    // Hidden classes are left alone
+    const visible = stateManager.getCurrentBoxes().filter(b => isClassVisible(b.classId));
+    return BoxMatcher.findDuplicates(visible, dedupeIou);
+}
+
+function updateDedupeCount() {
+    if (!dedupeMode) return;
+    const here = getCurrentDuplicates().length;
+    let text = `${here} here`;
+    if (ui.dedupeScope.value === 'all') {
+        text += dedupeSummary
+            ? ` \u00B7 ${dedupeSummary.boxes} in ${dedupeSummary.images} image${dedupeSummary.images === 1 ? '' : 's'}`
+            : ' \u00B7 counting\u2026';
+    }
+    ui.dedupeCount.textContent = text;
+    ui.btnRemoveDuplicates.disabled = ui.dedupeScope.value === 'all'
+        ? !dedupeSummary || dedupeSummary.boxes === 0
+        : here === 0;
+}
+
+/**
+ * Find the duplicates of every image
+ * @returns {Promise<Array<{index: number, boxIds: Array<string>}>>} Images with duplicates
+ */
+async function findDatasetDuplicates() {
+    const found = [];
+    for (let index = 0; index < datasetLoader.count; index++) {
+        const boxes = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+        const duplicates = BoxMatcher.findDuplicates(boxes.filter(b => isClassVisible(b.classId)), dedupeIou);
+        if (duplicates.length > 0) found.push({ index, boxIds: duplicates.map(d => d.box.id) });
+    }
+    return found;
+}
+
+async function refreshDedupeSummary() {
+    dedupeSummary = null;
+    updateDedupeCount();
+    if (!dedupeMode || ui.dedupeScope.value !== 'all') return;
+
+    const found = await findDatasetDuplicates();
+    dedupeSummary = {
+        boxes: found.reduce((sum, f) => sum + f.boxIds.length, 0),
+        images: found.length
+    };
+    updateDedupeCount();
+}
+
+function setDedupeMode(enabled) {
+    if (enabled && !hasDatasetLoaded()) return;
+    dedupeMode = enabled;
+    updateToolbarState();
+    draw();
+    refreshDedupeSummary().catch(console.error);
+}
+
+function setDedupeIou(value) {
+    const v = parseFloat(value);
+    if (isNaN(v)) return;
+    dedupeIou = clamp(v, 0.05, 1);
+    ui.dedupeIou.value = String(dedupeIou);
+    updateToolbarState();
+    draw();
+    refreshDedupeSummary().catch(console.error);
+}
+
+async function doRemoveDuplicates() {
+    if (!dedupeMode) return;
+
+    let found;
+    if (ui.dedupeScope.value === 'all') {
+        setLoading(true);
+        try {
+            found = await findDatasetDuplicates();
+        } finally {
+            setLoading(false);
+        }
+    } else {
+        if (!hasImageSelected()) return;
+        found = [{ index: currentIndex, boxIds: getCurrentDuplicates().map(d => d.box.id) }];
+    }
+
+    let removed = 0;
+    let images = 0;
+    for (const { index, boxIds } of found) {
+        // Images not opened yet get their editing state here, so each one has its own undo step
+        if (!stateManager.getBoxesAt(index)) {
+            stateManager.ensureImageState(index, await datasetLoader.loadLabels(index), datasetLoader.getDiagnostics(index));
+        }
+        const deleted = stateManager.deleteBoxesAt(index, boxIds);
+        if (deleted === 0) continue;
+
+        removed += deleted;
+        images++;
+        syncModifiedFlag(index);
+        datasetLoader.updateLabelCache(index, stateManager.getBoxesAt(index));
+    }
+
+    if (removed === 0) {
+        showNotification('No duplicates to remove', 'info');
+    } else {
+        showNotification(
+            `Removed ${removed} duplicate box${removed === 1 ? '' : 'es'} in ${images} image${images === 1 ? '' : 's'} ` +
+            '(Ctrl+Z undoes per image)',
+            'success'
+        );
+    }
+
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+    refreshClassPanel().catch(console.error);
+    await refreshDedupeSummary();
+}
+
+/**
+ * Count boxes and images per class over the whole dataset, edits included
+ * @returns {Promise<Map<number, {boxes: number, images: number}>>}
+ */
+async function countClassInstances() {
+    const counts = new Map();
+    for (let index = 0; index < datasetLoader.count; index++) {
+        const boxes = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+        const seen = new Set();
+        for (const box of boxes) {
+            if (box.deleted) continue;
+            const count = counts.get(box.classId) ?? { boxes: 0, images: 0 };
+            count.boxes++;
+            if (!seen.has(box.classId)) {
+                count.images++;
+                seen.add(box.classId);
+            }
+            counts.set(box.classId, count);
+        }
+    }
+    return counts;
+}
+
+async function showRemapModal() {
+    if (!hasDatasetLoaded()) return;
+
+    setLoading(true);
+    let counts;
+    try {
+        counts = await countClassInstances();
+    } finally {
+        setLoading(false);
+    }
+
+    const ids = new Set([...datasetLoader.classes.getAll().map(c => c.id), ...counts.keys()]);
+    ui.remapTable.textContent = '';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const title of ['Class', 'Boxes', 'Files', 'Action', 'New id']) {
+        const th = document.createElement('th');
+        th.textContent = title;
+        headRow.appendChild(th);
+    }
+    head.appendChild(headRow);
+    ui.remapTable.appendChild(head);
+
+    const body = document.createElement('tbody');
+    for (const id of [...ids].sort((a, b) => a - b)) {
+        const count = counts.get(id) ?? { boxes: 0, images: 0 };
+        const tr = document.createElement('tr');
+        tr.dataset.classId = String(id);
+
+        for (const text of [datasetLoader.classes.getLabel(id), count.boxes, count.images]) {
+            const td = document.createElement('td');
+            td.textContent = String(text);
+            tr.appendChild(td);
+        }
+
+        const action = document.createElement('select');
+        action.className = 'remap-action';
+        for (const [value, label] of [['keep', 'Keep'], ['change', 'Change to'], ['delete', 'Delete boxes']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            action.appendChild(option);
+        }
+
+        const target = document.createElement('input');
+        target.type = 'number';
+        target.className = 'remap-target';
+        target.min = '0';
+        target.step = '1';
+        target.value = String(id);
+        target.disabled = true;
+
+        action.addEventListener('change', () => {
+            target.disabled = action.value !== 'change';
+            invalidateRemapPreview();
+        });
+        target.addEventListener('input', invalidateRemapPreview);
+
+        for (const control of [action, target]) {
+            const td = document.createElement('td');
+            td.appendChild(control);
+            tr.appendChild(td);
+        }
+        body.appendChild(tr);
+    }
+    ui.remapTable.appendChild(body);
+
+    invalidateRemapPreview();
+    if (!ui.remapModal.open) ui.remapModal.showModal();
+}
+
+function invalidateRemapPreview() {
+    ui.remapSummary.textContent = 'Preview to see which files change.';
+    ui.remapApply.disabled = true;
+}
+
+/**
+ * Read the class mapping from the remap table
+ * @returns {Map<number, number|null>|null} Old id -> new id (null deletes); null if an id is invalid
+ */
+function readRemapMapping() {
+    const mapping = new Map();
+    for (const tr of ui.remapTable.querySelectorAll('tbody tr')) {
+        const classId = parseInt(tr.dataset.classId, 10);
+        const action = tr.querySelector('.remap-action').value;
+        if (action === 'delete') {
+            mapping.set(classId, null);
+        } else if (action === 'change') {
+            const target = Number(tr.querySelector('.remap-target').value);
+            if (!Number.isInteger(target) || target < 0) return null;
+            if (target !== classId) mapping.set(classId, target);
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Work out what a class mapping would change, without changing anything
+ * @param {Map<number, number|null>} mapping
+ * @returns {Promise<Array<{index: number, reclassed: number, deleted: number}>>} Affected images
+ */
+async function planClassRemap(mapping) {
+    const plan = [];
+    for (let index = 0; index < datasetLoader.count; index++) {
+        const boxes = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+        let reclassed = 0;
+        let deleted = 0;
+        for (const box of boxes) {
+            if (box.deleted || !mapping.has(box.classId)) continue;
+            if (mapping.get(box.classId) === null) deleted++;
+            else reclassed++;
+        }
+        if (reclassed + deleted > 0) plan.push({ index, reclassed, deleted });
+    }
+    return plan;
+}
+
+async function previewClassRemap() {
+    const mapping = readRemapMapping();
+    if (!mapping) {
+        showNotification('New class ids must be whole numbers \u2265 0', 'error');
+        return;
+    }
+    if (mapping.size === 0) {
+        ui.remapSummary.textContent = 'Nothing to change.';
+        ui.remapApply.disabled = true;
+        return;
+    }
+
+    setLoading(true);
+    let plan;
+    try {
+        plan = await planClassRemap(mapping);
+    } finally {
+        setLoading(false);
+    }
+
+    const reclassed = plan.reduce((sum, p) => sum + p.reclassed, 0);
+    const deleted = plan.reduce((sum, p) => sum + p.deleted, 0);
+    const rules = [...mapping].map(([from, to]) => (to === null
+        ? `${datasetLoader.classes.getLabel(from)} \u2192 deleted`
+        : `${datasetLoader.classes.getLabel(from)} \u2192 ${datasetLoader.classes.getLabel(to)}`));
+
+    ui.remapSummary.textContent = [
+        ...rules,
+        `${plan.length} label file${plan.length === 1 ? '' : 's'} affected: ` +
+            `${reclassed} box${reclassed === 1 ? '' : 'es'} relabelled, ${deleted} deleted.`
+    ].join('\n');
+    ui.remapApply.disabled = plan.length === 0;
+}
+
+async function applyClassRemap() {
+    const mapping = readRemapMapping();
+    if (!mapping || mapping.size === 0) return;
+
+    setLoading(true);
+    let files = 0;
+    let reclassed = 0;
+    let deleted = 0;
+    try {
+        for (const { index } of await planClassRemap(mapping)) {
+            // Each image gets its own undo step
+            if (!stateManager.getBoxesAt(index)) {
+                stateManager.ensureImageState(index, await datasetLoader.loadLabels(index), datasetLoader.getDiagnostics(index));
+            }
+            const result = stateManager.remapClassesAt(index, mapping);
+            if (result.reclassed + result.deleted === 0) continue;
+
+            files++;
+            reclassed += result.reclassed;
+            deleted += result.deleted;
+            syncModifiedFlag(index);
+            datasetLoader.updateLabelCache(index, stateManager.getBoxesAt(index));
+        }
+    } finally {
+        setLoading(false);
+    }
+
+    closeDialogSafe(ui.remapModal);
+    showNotification(
+        `Remapped ${files} file${files === 1 ? '' : 's'} (${reclassed} relabelled, ${deleted} deleted). Save All to write them.`,
+        'success',
+        4000
+    );
+
+    refreshVisibleListItems();
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+    await refreshClassPanel();
+}
+
+async function refreshClassPanel() {
+    renderClassPanel();
+    if (!hasDatasetLoaded()) return;
+    classCounts = await countClassInstances();
+    renderClassPanel();
+}
+
+function renderClassPanel() {
+    ui.classPanel.classList.toggle('hidden', !hasDatasetLoaded());
+    ui.classPanelList.textContent = '';
+    if (!hasDatasetLoaded()) return;
+
+    const classes = datasetLoader.classes;
+    const ids = new Set([...classes.getAll().map(c => c.id), ...(classCounts?.keys() ?? [])]);
+    const lastNamed = classes.count - 1;
+
+    for (const id of [...ids].sort((a, b) => a - b)) {
+        const named = classes.names[id] != null;
+        const row = document.createElement('div');
+        row.className = 'class-row';
+        row.classList.toggle('active', id === drawClassId);
+        row.title = 'Click to draw this class, double-click the name to rename';
+
+        const idEl = document.createElement('span');
+        idEl.className = 'class-row-id';
+        idEl.textContent = String(id);
+
+        const swatch = document.createElement('span');
+        swatch.className = 'class-swatch';
+        swatch.style.background = classes.getColor(id);
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'class-row-name';
+        nameEl.classList.toggle('unknown', !named);
+        nameEl.textContent = named ? classes.names[id] : 'unnamed';
+        nameEl.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            editClassName(nameEl, named ? classes.names[id] : '', name => renameClass(id, name));
+        });
+
+        const count = classCounts?.get(id);
+        const countEl = document.createElement('span');
+        countEl.className = 'class-row-count';
+        countEl.textContent = classCounts ? String(count?.boxes ?? 0) : '\u2026';
+        if (count) countEl.title = `${count.boxes} boxes in ${count.images} images`;
+
+        row.append(idEl, swatch, nameEl, countEl);
+        row.classList.toggle('class-hidden', !isClassVisible(id));
+
+        const addToggle = (label, active, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'sidebar-button';
+            btn.classList.toggle('active', active);
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            row.appendChild(btn);
+        };
+        addToggle('\u{1F441}', isClassVisible(id), 'Show/hide this class', () => toggleClassHidden(id));
+        addToggle('S', soloClassId === id, 'Show only this class', () => toggleClassSolo(id));
+
+        if (named && id <= lastNamed) {
+            const addMove = (label, delta, title) => {
+                const btn = document.createElement('button');
+                btn.className = 'sidebar-button';
+                btn.textContent = label;
+                btn.title = title;
+                btn.disabled = id + delta < 0 || id + delta > lastNamed;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    moveClass(id, delta).catch(console.error);
+                });
+                row.appendChild(btn);
+            };
+            addMove('\u25B2', -1, 'Move up (swaps ids in all labels)');
+            addMove('\u25BC', 1, 'Move down (swaps ids in all labels)');
+        }
+
+        row.addEventListener('click', () => setDrawClassId(id));
+        ui.classPanelList.appendChild(row);
+    }
+}
+
+/**
+ * Turn a class name into an inline text field
+ * @param {HTMLElement} container - Element to edit in
+ * @param {string} value - Initial name
+ * @param {function(string): Promise} onCommit - Called with the trimmed new name
+ */
+function editClassName(container, value, onCommit) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    container.textContent = '';
+    container.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (commit && name && name !== value) {
+            onCommit(name).catch(console.error);
+        } else {
+            renderClassPanel();
+        }
+    };
+
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Write new class names and refresh everything that shows them
+ * @param {Array<string>} names
+ * @returns {Promise<boolean>}
+ */
+async function writeClassNames(names) {
+    const written = await datasetLoader.saveClassNames(names);
+    if (!written) {
+        showNotification('Could not write the class names file', 'error');
+        renderClassPanel();
+        return false;
+    }
+
+    const action = fileManager.isReadOnly ? 'Downloaded' : 'Saved';
+    showNotification(`${action} ${written.join(' and ')}`, 'success');
+    setDrawClassId(drawClassId);
+    updateStatusBar();
+    draw();
+    return true;
+}
+
+async function renameClass(classId, name) {
+    const names = Array.from(datasetLoader.classes.names);
+    const oldName = names[classId];
+    names[classId] = name;
+    if (!await writeClassNames(names) || oldName === undefined) return;
+
+    const { renamed, failed } = await datasetLoader.renameVocClass(oldName, name);
+    if (failed.length > 0) {
+        showNotification(
+            `Renamed ${oldName} in ${renamed} VOC file${renamed === 1 ? '' : 's'}, but not in ${failed.join(', ')}`,
+            'error',
+            6000
+        );
+    }
+}
+
+function startAddClass() {
+    if (!hasDatasetLoaded()) return;
+    const classId = datasetLoader.classes.count;
+
+    const row = document.createElement('div');
+    row.className = 'class-row';
+    const idEl = document.createElement('span');
+    idEl.className = 'class-row-id';
+    idEl.textContent = String(classId);
+    const swatch = document.createElement('span');
+    swatch.className = 'class-swatch';
+    swatch.style.background = datasetLoader.classes.getColor(classId);
+    const nameEl = document.createElement('span');
+    nameEl.className = 'class-row-name';
+    row.append(idEl, swatch, nameEl);
+    ui.classPanelList.appendChild(row);
+    row.scrollIntoView({ block: 'nearest' });
+
+    editClassName(nameEl, '', name => renameClass(classId, name));
+}
+
+/**
+ * Undo a class swap that did not go through: label files already written get their ids
+ * swapped back, and every affected image is read again from disk
+ * @param {Array<number>} affected - Images whose ids were swapped
+ * @param {Array<number>} saved - Those of them written to disk
+ * @param {Map<number, number>} mapping - The swap, which is its own inverse
+ */
+async function rollbackClassMove(affected, saved, mapping) {
+    for (const index of saved) {
+        stateManager.remapClassesAt(index, mapping);
+    }
+    const restored = await saveLabelsAt(saved);
+    for (const index of affected) {
+        await reloadLabelsFromDisk(index);
+    }
+
+    if (restored) {
+        showNotification('Not every label file could be rewritten; the classes were not reordered', 'error', 5000);
+    } else {
+        showNotification(
+            'Not every label file could be rewritten, and some that were could not be restored: ' +
+                'check the class ids before saving again',
+            'error',
+            8000
+        );
+    }
+}
+
+/**
+ * Swap a class with its neighbour: the names swap and so do the ids in every label file
+ * Label files are written right away so they never disagree with the names file; Pascal VOC
+ * files name their classes and stay as they are
+ * @param {number} classId
+ * @param {number} delta - -1 to move up, 1 to move down
+ */
+async function moveClass(classId, delta) {
+    const other = classId + delta;
+    const names = Array.from(datasetLoader.classes.names);
+    if (other < 0 || other >= names.length) return;
+    if (fileManager.isReadOnly) {
+        showNotification('Reordering classes rewrites label files and needs a writable folder', 'warning');
+        return;
+    }
+
+    const mapping = new Map([[classId, other], [other, classId]]);
+
+    setLoading(true);
+    try {
+        const plan = (await planClassRemap(mapping)).map(({ index }) => index);
+        // Saving these files would also write the edits
+        if (plan.some(index => stateManager.isModified(index))) {
+            showNotification('Save or undo the edits of images with these classes before reordering them', 'warning', 4000);
+            return;
+        }
+
+        const isVoc = index => datasetLoader.getEntry(index).labelFormat === 'voc';
+        const affected = plan.filter(index => !isVoc(index));
+        for (const index of affected) {
+            if (!stateManager.getBoxesAt(index)) {
+                stateManager.ensureImageState(index, await datasetLoader.loadLabels(index), datasetLoader.getDiagnostics(index));
+            }
+            stateManager.remapClassesAt(index, mapping);
+            syncModifiedFlag(index);
+        }
+
+        const report = { saved: [], reloaded: [] };
+        if (!await saveLabelsAt(affected, report) || report.reloaded.length > 0) {
+            await rollbackClassMove(affected, report.saved, mapping);
+            return;
+        }
+
+        [names[classId], names[other]] = [names[other], names[classId]];
+        if (!await writeClassNames(names)) {
+            await rollbackClassMove(affected, affected, mapping);
+            return;
+        }
+
+        // VOC boxes take their ids from the new names
+        for (const index of plan.filter(isVoc)) {
+            await reloadLabelsFromDisk(index);
+        }
+
+        if (drawClassId === classId || drawClassId === other) {
+            setDrawClassId(drawClassId === classId ? other : classId);
+        }
+        showNotification(`Swapped classes ${classId} and ${other} in ${affected.length} label file${affected.length === 1 ? '' : 's'}`, 'success');
+    } finally {
+        setLoading(false);
+        refreshVisibleListItems();
+        updateToolbarState();
+        updateStatusBar();
+        draw();
+        refreshClassPanel().catch(console.error);
+    }
+}
+
+function showLintModal() {
+    if (!hasDatasetLoaded()) return;
+    if (!ui.lintModal.open) ui.lintModal.showModal();
+    if (lintResults) {
+        renderLintList();
+    } else {
+        runDatasetLint().catch(console.error);
+    }
+}
+
+async function runDatasetLint() {
+    const options = {
+        minSize: Math.max(0, parseFloat(ui.lintMinSize.value) || 0),
+        duplicateIou: Math.min(1, Math.max(0.05, parseFloat(ui.lintDuplicateIou.value) || 0.9))
+    };
+
+    setLoading(true);
+    const results = [];
+    try {
+        for (let index = 0; index < datasetLoader.count; index++) {
+            // Edited images are checked as they are now, not as saved
+            const boxes = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+            const entry = datasetLoader.getEntry(index);
+            const issues = DatasetLinter.lintImage(boxes, {
+                hasLabel: entry.hasLabel,
+                rejectedCount: stateManager.getUnresolvedCount(index) ?? datasetLoader.getDiagnostics(index).length,
+                // Only images with boxes need their size, which may mean decoding them
+                size: boxes.some(b => !b.deleted) ? await datasetLoader.getImageSize(index) : null,
+                isKnownClass: classId => datasetLoader.classes.isKnown(classId)
+            }, options);
+            if (issues.length > 0) results.push({ index, issues });
+        }
+    } finally {
+        setLoading(false);
+    }
+
+    lintResults = results;
+    renderLintList();
+}
+
+function renderLintList() {
+    const filter = ui.lintFilter.value;
+    ui.lintList.textContent = '';
+
+    let total = 0;
+    let shown = 0;
+    for (const { index, issues } of lintResults) {
+        total += issues.length;
+        const visible = filter ? issues.filter(issue => issue.type === filter) : issues;
+        if (visible.length === 0) continue;
+
+        const item = document.createElement('div');
+        item.className = 'issue-item';
+
+        const header = document.createElement('div');
+        header.className = 'issue-header';
+        const nameEl = document.createElement('span');
+        nameEl.className = 'issue-line';
+        nameEl.textContent = `${index + 1}. ${datasetLoader.getEntry(index).name}`;
+        header.appendChild(nameEl);
+        item.appendChild(header);
+
+        for (const issue of visible) {
+            const row = document.createElement('button');
+            row.className = 'lint-issue';
+            row.textContent = issue.message;
+            row.addEventListener('click', () => goToLintIssue(index, issue).catch(console.error));
+            item.appendChild(row);
+            shown++;
+        }
+        ui.lintList.appendChild(item);
+    }
+
+    const images = lintResults.length;
+    ui.lintSummary.textContent = total === 0
+        ? `No issues in ${datasetLoader.count} images.`
+        : `${total} issue${total === 1 ? '' : 's'} in ${images} image${images === 1 ? '' : 's'}` +
+            (filter ? `, ${shown} shown.` : '.') + ' Click an issue to open the image.';
+}
+
+async function goToLintIssue(index, issue) {
+    closeDialogSafe(ui.lintModal);
+    if (index !== currentIndex) await selectImage(index);
+    if (currentIndex !== index) return;
+
+    // The box may have been edited away since the lint ran
+    if (issue.boxId) stateManager.selectBox(issue.boxId);
+    updateToolbarState();
+    updateStatusBar();
+    draw();
+}
+
+function showSplitsModal() {
+    if (!hasDatasetLoaded()) return;
+
+    renderSplitMoveControls();
+
+    // Start from the current proportions
+    const splits = datasetLoader.getSplits();
+    const ratios = splits.length > 0
+        ? splits.map(split => [
+            split,
+            Math.round(datasetLoader.getSplitIndices(split).length / datasetLoader.count * 100)
+        ])
+        : DEFAULT_SPLIT_RATIOS;
+
+    ui.splitRatios.textContent = '';
+    for (const [name, percent] of ratios) {
+        const label = document.createElement('label');
+        label.className = 'toolbar-label';
+        label.textContent = `${name} %`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'toolbar-input split-ratio';
+        input.min = '0';
+        input.max = '100';
+        input.step = '1';
+        input.value = String(percent);
+        input.dataset.split = name;
+        input.addEventListener('input', invalidateSplitPreview);
+
+        label.appendChild(input);
+        ui.splitRatios.appendChild(label);
+    }
+
+    invalidateSplitPreview();
+    if (!ui.splitsModal.open) ui.splitsModal.showModal();
+}
+
+function renderSplitMoveControls() {
+    const entry = datasetLoader.getEntry(currentIndex);
+    const targets = datasetLoader.getSplits().filter(split => split !== entry?.split);
+
+    ui.splitMoveTarget.textContent = '';
+    for (const split of targets) {
+        ui.splitMoveTarget.appendChild(new Option(split, split));
+    }
+
+    if (!entry) {
+        ui.splitMoveName.textContent = 'No image selected.';
+    } else if (targets.length === 0) {
+        ui.splitMoveName.textContent = 'The dataset has no other split; generate splits below.';
+    } else {
+        ui.splitMoveName.textContent = getEntryPath(entry);
+    }
+    ui.splitMoveTarget.disabled = !entry || targets.length === 0;
+    ui.splitMove.disabled = ui.splitMoveTarget.disabled || fileManager.isReadOnly;
+}
+
+function invalidateSplitPreview() {
+    ui.splitPreviewTable.textContent = '';
+    ui.splitSummary.textContent = 'Preview to see how images and classes are distributed.';
+    ui.splitApply.disabled = true;
+}
+
+/**
+ * Called after images changed split
+ */
+function onSplitsChanged() {
+    updateSplitControl();
+    applySearchFilter();
+    updateStatusBar();
+}
+
+async function moveCurrentToSplit() {
+    const split = ui.splitMoveTarget.value;
+    if (!hasImageSelected() || !split) return;
+
+    setLoading(true);
+    try {
+        await datasetLoader.moveToSplit(currentIndex, split);
+        showNotification(`Moved ${datasetLoader.getEntry(currentIndex).name} to ${split}`, 'success');
+    } catch (e) {
+        console.error(e);
+        showNotification(`Move failed: ${e.message}`, 'error', 4000);
+    } finally {
+        setLoading(false);
+    }
+
+    onSplitsChanged();
+    renderSplitMoveControls();
+}
+
+/**
+ * Read the split proportions from the splits dialog
+ * @returns {Array<{name: string, fraction: number}>|null} null if they do not add up to more than 0
+ */
+function readSplitRatios() {
+    const ratios = [...ui.splitRatios.querySelectorAll('.split-ratio')].map(input => ({
+        name: input.dataset.split,
+        fraction: Math.max(0, parseFloat(input.value) || 0)
+    }));
+    return ratios.some(r => r.fraction > 0) ? ratios : null;
+}
+
+/**
+ * Work out a stratified split assignment, without moving anything
+ * @param {Array<{name: string, fraction: number}>} ratios
+ * @returns {Promise<{assignment: Map<number, string>, classIdsByIndex: Array<Set<number>>}>}
+ */
+async function planSplits(ratios) {
+    const images = [];
+    for (let index = 0; index < datasetLoader.count; index++) {
+        const boxes = stateManager.getBoxesAt(index) ?? await datasetLoader.loadLabels(index);
+        images.push({ index, classIds: new Set(boxes.filter(b => !b.deleted).map(b => b.classId)) });
+    }
+
+    const seed = parseInt(ui.splitSeed.value, 10) || 0;
+    return {
+        assignment: SplitGenerator.assign(images, ratios, seed),
+        classIdsByIndex: images.map(image => image.classIds)
+    };
+}
+
+async function previewSplits() {
+    const ratios = readSplitRatios();
+    if (!ratios) {
+        showNotification('Give at least one split a share above 0%', 'error');
+        return;
+    }
+
+    setLoading(true);
+    let plan;
+    try {
+        plan = await planSplits(ratios);
+    } finally {
+        setLoading(false);
+    }
+
+    // Images per split, overall and per class
+    const names = ratios.filter(r => r.fraction > 0).map(r => r.name);
+    const totals = new Map(names.map(name => [name, 0]));
+    const perClass = new Map();
+    let moves = 0;
+    for (const [index, split] of plan.assignment) {
+        totals.set(split, totals.get(split) + 1);
+        for (const classId of plan.classIdsByIndex[index]) {
+            if (!perClass.has(classId)) perClass.set(classId, new Map(names.map(name => [name, 0])));
+            const counts = perClass.get(classId);
+            counts.set(split, counts.get(split) + 1);
+        }
+        if (datasetLoader.getEntry(index).split !== split) moves++;
+    }
+
+    ui.splitPreviewTable.textContent = '';
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const title of ['Class', ...names]) {
+        const th = document.createElement('th');
+        th.textContent = title;
+        headRow.appendChild(th);
+    }
+    head.appendChild(headRow);
+    ui.splitPreviewTable.appendChild(head);
+
+    const body = document.createElement('tbody');
+    const addRow = (label, counts) => {
+        const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+        const tr = document.createElement('tr');
+        for (const text of [label, ...names.map(name => {
+            const n = counts.get(name);
+            return `${n} (${total > 0 ? Math.round(n / total * 100) : 0}%)`;
+        })]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        body.appendChild(tr);
+    };
+    addRow('All images', totals);
+    for (const classId of [...perClass.keys()].sort((a, b) => a - b)) {
+        addRow(datasetLoader.classes.getLabel(classId), perClass.get(classId));
+    }
+    ui.splitPreviewTable.appendChild(body);
+
+    const dropMode = fileManager.isReadOnly;
+    ui.splitSummary.textContent = `${moves} image${moves === 1 ? '' : 's'} change split.` +
+        (dropMode ? ' The folder is read-only; open it with the folder picker to move files.' : '');
+    ui.splitApply.disabled = moves === 0 || dropMode;
+}
+
+async function applySplits() {
+    const ratios = readSplitRatios();
+    if (!ratios) return;
 
     setLoading(true);
+    let moved = 0;
+    const failed = [];
     try {
-        if (fileManager.isReadOnly) {
-            const modifiedLabels = new Map();
-            for (const idx of modified) {
-                stateManager.setCurrentIndex(idx);
-                const entry = datasetLoader.getEntry(idx);
-                if (!entry) continue;
-                const boxesForSave = stateManager.getBoxesForSave();
-                modifiedLabels.set(entry.baseName + '.txt', LabelParser.serialize(boxesForSave));
-            }
-            await fileManager.downloadAllAsZip(modifiedLabels);
-
-            for (const idx of modified) {
-                stateManager.markSavedAt(idx);
-                datasetLoader.markSaved(idx);
-                stateManager.setCurrentIndex(idx);
-                datasetLoader.updateLabelCache(idx, stateManager.getCurrentBoxes());
-            }
-            stateManager.setCurrentIndex(currentIndex);
-            showNotification('Downloaded modified labels (zip)', 'success');
-        } else {
-            for (const idx of modified) {
-                stateManager.setCurrentIndex(idx);
-                const boxesForSave = stateManager.getBoxesForSave();
-                const ok = await datasetLoader.saveLabels(idx, boxesForSave);
-                if (!ok) {
-                    showNotification('Save all: some files failed', 'warning');
-                    break;
-                }
-                stateManager.markSavedAt(idx);
-                datasetLoader.markSaved(idx);
-                stateManager.setCurrentIndex(idx);
-                datasetLoader.updateLabelCache(idx, stateManager.getCurrentBoxes());
+        const { assignment } = await planSplits(ratios);
+        for (const [index, split] of assignment) {
+            if (datasetLoader.getEntry(index).split === split) continue;
+            try {
+                await datasetLoader.moveToSplit(index, split);
+                moved++;
+            } catch (e) {
+                console.error(e);
+                failed.push(datasetLoader.getEntry(index).name);
             }
-            stateManager.setCurrentIndex(currentIndex);
-            showNotification('Saved all modified', 'success');
         }
-
-        refreshVisibleListItems();
-        updateToolbarState();
-        updateStatusBar();
-        draw();
     } finally {
         setLoading(false);
     }
+
+    closeDialogSafe(ui.splitsModal);
+    onSplitsChanged();
+
+    if (failed.length > 0) {
+        showNotification(
+            `Moved ${moved} image${moved === 1 ? '' : 's'}; ${failed.length} failed (${failed.slice(0, 3).join(', ')}` +
+                `${failed.length > 3 ? ', ...' : ''})`,
+            'warning',
+            5000
+        );
+    } else {
+        showNotification(`Moved ${moved} image${moved === 1 ? '' : 's'} to new splits`, 'success');
+    }
 }
 
-function zoomIn() {
+function showRemoveImageModal() {
     if (!hasImageSelected()) return;
-    zoom = clamp(zoom * 1.25, 0.05, 20);
-    updateStatusBar();
-    draw();
+    if (fileManager.isReadOnly) {
+        showNotification('Images can only be removed from a folder opened with write access', 'warning');
+        return;
+    }
+
+    const entry = datasetLoader.getEntry(currentIndex);
+    ui.removeImageName.textContent = getEntryPath(entry) +
+        (entry.labelHandle ? ` and its label file ${entry.labelHandle.name}` : '');
+    ui.removeImageModified.classList.toggle('hidden', !stateManager.isCurrentModified());
+    ui.removeImageModal.showModal();
 }
 
-function zoomOut() {
-    if (!hasImageSelected()) return;
-    zoom = clamp(zoom / 1.25, 0.05, 20);
-    updateStatusBar();
-    draw();
+/**
+ * Keep per-image session data in step with the image index
+ * @param {number} from - First index that moves
+ * @param {number} delta - -1 after an image was removed, 1 after one was put back
+ */
+function shiftImageIndices(from, delta) {
+    const shift = index => (index >= from ? index + delta : index);
+
+    for (const warnedSet of [warnedUnknownClasses, warnedRejectedPredictions]) {
+        const warned = [...warnedSet].map(shift);
+        warnedSet.clear();
+        for (const index of warned) warnedSet.add(index);
+    }
+
+    if (lintResults) {
+        lintResults = lintResults.map(result => ({ ...result, index: shift(result.index) }));
+    }
+    errorRanking = null;
 }
 
-function zoomFit() {
-    if (!hasImageSelected()) return;
-    zoom = 1;
+function onImageIndexChanged() {
+    updateSplitControl();
+    applySearchFilter();
+    updateRestoreRemovedControl();
+    updateToolbarState();
     updateStatusBar();
     draw();
+    refreshClassPanel().catch(console.error);
+    if (dedupeMode) refreshDedupeSummary().catch(console.error);
+    if (lintResults && ui.lintModal.open) renderLintList();
 }
 
-function navigate(delta) {
-    if (!hasDatasetLoaded()) return;
-    const next = clamp((hasImageSelected() ? currentIndex : 0) + delta, 0, datasetLoader.count - 1);
-    selectImage(next).catch(() => { });
+function updateRestoreRemovedControl() {
+    const last = removedSamples[removedSamples.length - 1];
+    ui.btnRestoreRemoved.classList.toggle('hidden', !last);
+    if (last) {
+        ui.btnRestoreRemoved.title = `Restore ${getEntryPath(last.removed.entry)} ` +
+            `(${removedSamples.length} removed this session)`;
+    }
 }
 
-function showGotoModal() {
-    if (!hasDatasetLoaded()) return;
-    ui.gotoMax.textContent = String(datasetLoader.count);
-    ui.gotoInput.min = '1';
-    ui.gotoInput.max = String(Math.max(1, datasetLoader.count));
-    ui.gotoInput.value = String(hasImageSelected() ? currentIndex + 1 : 1);
-    ui.gotoModal.showModal();
-    ui.gotoInput.focus();
-    ui.gotoInput.select?.();
+/**
+ * Remove the current image and its label file from the dataset
+ * @param {'quarantine'|'delete'} mode - Move them into _removed/ or delete them
+ */
+async function doRemoveImage(mode) {
+    closeDialogSafe(ui.removeImageModal);
+    if (!hasImageSelected()) return;
+
+    const index = currentIndex;
+    const entry = datasetLoader.getEntry(index);
+
+    setLoading(true);
+    let removed;
+    try {
+        removed = await datasetLoader.removeSample(index, mode);
+    } catch (e) {
+        console.error(e);
+        showNotification(`Remove failed: ${e.message}`, 'error', 4000);
+        return;
+    } finally {
+        setLoading(false);
+    }
+
+    // The cached bitmap was closed with the entry
+    clearCurrentImage();
+    currentIndex = -1;
+    predictionBoxes = [];
+
+    removedSamples.push({ removed, state: stateManager.removeImageState(index) });
+    warnedUnknownClasses.delete(index);
+    warnedRejectedPredictions.delete(index);
+    if (lintResults) lintResults = lintResults.filter(result => result.index !== index);
+    shiftImageIndices(index + 1, -1);
+
+    onImageIndexChanged();
+    showNotification(
+        `${mode === 'delete' ? 'Deleted' : 'Moved to _removed/:'} ${getEntryPath(entry)} ` +
+            '(\u21B6 in the image list restores it)',
+        'success',
+        4000
+    );
+
+    if (datasetLoader.count > 0) {
+        await selectImage(Math.min(index, datasetLoader.count - 1));
+    }
+}
+
+async function doRestoreRemovedImage() {
+    const last = removedSamples[removedSamples.length - 1];
+    if (!last) return;
+
+    setLoading(true);
+    try {
+        await datasetLoader.restoreSample(last.removed);
+    } catch (e) {
+        console.error(e);
+        showNotification(`Restore failed: ${e.message}`, 'error', 4000);
+        return;
+    } finally {
+        setLoading(false);
+    }
+
+    removedSamples.pop();
+    const index = last.removed.index;
+    stateManager.insertImageState(index, last.state);
+    shiftImageIndices(index, 1);
+    if (currentIndex >= index) currentIndex++;
+
+    onImageIndexChanged();
+    showNotification(`Restored ${getEntryPath(last.removed.entry)}`, 'success');
+    await selectImage(index);
 }
 
 function showShortcutsModal() {
@@ -732,32 +3365,128 @@ function closeDialogSafe(dialog) {
     try { dialog.close(); } catch { /* ignore */ }
 }
 
+function getAllDialogs() {
+    return [
+        ui.shortcutsModal, ui.gotoModal, ui.classModal, ui.issuesModal, ui.lintModal,
+        ui.remapModal, ui.splitsModal, ui.removeImageModal, ui.saveConflictModal, ui.evalModal
+    ];
+}
+
 function isAnyDialogOpen() {
-    return (ui.shortcutsModal?.open || ui.gotoModal?.open) === true;
+    return getAllDialogs().some(dialog => dialog?.open === true);
 }
 
 // --- event wiring below ---
 
 // Toolbar hooks
 ui.btnLoad.addEventListener('click', () => loadFromFolderPicker().catch(console.error));
+ui.btnReload.addEventListener('click', () => reloadFromDisk().catch(console.error));
 ui.btnSave.addEventListener('click', () => doSaveCurrent().catch(console.error));
 ui.btnSaveAll.addEventListener('click', () => doSaveAll().catch(console.error));
+ui.btnExportCoco.addEventListener('click', () => doExportCoco().catch(console.error));
+ui.btnLoadPredictions.addEventListener('click', () => loadPredictionsFolder().catch(console.error));
+ui.predictionsInput.addEventListener('change', () => {
+    const files = ui.predictionsInput.files;
+    if (files && files.length > 0) {
+        applyPredictions(fileManager.collectPredictionFiles(files)).catch(console.error);
+    }
+    ui.predictionsInput.value = '';
+});
+ui.btnTogglePredictions.addEventListener('click', () => setShowPredictions(!showPredictions));
+ui.confThreshold.addEventListener('input', () => setConfThreshold(Number(ui.confThreshold.value)));
+ui.confThreshold.addEventListener('change', () => ui.confThreshold.blur());
+ui.btnCompare.addEventListener('click', () => setCompareMode(!compareMode).catch(console.error));
+ui.iouThreshold.addEventListener('change', () => {
+    setIouThreshold(Number(ui.iouThreshold.value));
+    ui.iouThreshold.blur();
+});
+ui.btnPrevError.addEventListener('click', () => jumpToErrorImage(-1).catch(console.error));
+ui.btnNextError.addEventListener('click', () => jumpToErrorImage(1).catch(console.error));
+ui.btnEvaluate.addEventListener('click', () => showEvaluationReport().catch(console.error));
+ui.btnLint.addEventListener('click', showLintModal);
+ui.btnRemap.addEventListener('click', () => showRemapModal().catch(console.error));
+ui.btnSplits.addEventListener('click', showSplitsModal);
+ui.btnAddClass.addEventListener('click', startAddClass);
+ui.btnRecountClasses.addEventListener('click', () => refreshClassPanel().catch(console.error));
+ui.remapPreview.addEventListener('click', () => previewClassRemap().catch(console.error));
+ui.remapApply.addEventListener('click', () => applyClassRemap().catch(console.error));
+ui.splitMove.addEventListener('click', () => moveCurrentToSplit().catch(console.error));
+ui.splitSeed.addEventListener('input', invalidateSplitPreview);
+ui.splitPreview.addEventListener('click', () => previewSplits().catch(console.error));
+ui.splitApply.addEventListener('click', () => applySplits().catch(console.error));
+ui.closeSplits.addEventListener('click', () => closeDialogSafe(ui.splitsModal));
+ui.splitsModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.splitsModal);
+});
+ui.saveConflictOverwrite.addEventListener('click', () => finishSaveConflict('overwrite'));
+ui.saveConflictReload.addEventListener('click', () => finishSaveConflict('reload'));
+ui.saveConflictShowDiff.addEventListener('click', showSaveConflictDiff);
+ui.closeSaveConflict.addEventListener('click', () => finishSaveConflict('cancel'));
+ui.saveConflictModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    finishSaveConflict('cancel');
+});
+// Escape closes every dialog directly
+ui.saveConflictModal.addEventListener('close', () => finishSaveConflict('cancel'));
+ui.removeImageQuarantine.addEventListener('click', () => doRemoveImage('quarantine').catch(console.error));
+ui.removeImageDelete.addEventListener('click', () => doRemoveImage('delete').catch(console.error));
+ui.closeRemoveImage.addEventListener('click', () => closeDialogSafe(ui.removeImageModal));
+ui.removeImageModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.removeImageModal);
+});
+ui.closeRemap.addEventListener('click', () => closeDialogSafe(ui.remapModal));
+ui.remapModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.remapModal);
+});
+ui.btnDedupe.addEventListener('click', () => setDedupeMode(!dedupeMode));
+ui.dedupeIou.addEventListener('change', () => setDedupeIou(ui.dedupeIou.value));
+ui.dedupeScope.addEventListener('change', () => refreshDedupeSummary().catch(console.error));
+ui.btnRemoveDuplicates.addEventListener('click', () => doRemoveDuplicates().catch(console.error));
+ui.btnRunLint.addEventListener('click', () => runDatasetLint().catch(console.error));
+ui.lintFilter.addEventListener('change', () => {
+    if (lintResults) renderLintList();
+});
+ui.closeLint.addEventListener('click', () => closeDialogSafe(ui.lintModal));
+ui.lintModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.lintModal);
+});
+ui.closeEval.addEventListener('click', () => closeDialogSafe(ui.evalModal));
+ui.evalModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.evalModal);
+});
+ui.vocSaveFormat.addEventListener('change', () => {
+    datasetLoader.vocSaveFormat = ui.vocSaveFormat.value;
+});
 ui.btnUndo.addEventListener('click', doUndo);
 ui.btnRedo.addEventListener('click', doRedo);
 ui.btnDelete.addEventListener('click', () => doDeleteSelected(false));
 ui.btnSelectAll.addEventListener('click', () => {
     if (!hasImageSelected()) return;
-    stateManager.selectAll();
+    stateManager.selectAll(b => isClassVisible(b.classId));
     updateToolbarState();
     updateStatusBar();
     draw();
 });
+ui.btnSetClass.addEventListener('click', showClassModal);
+ui.btnDraw.addEventListener('click', () => setActiveTool(activeTool === 'draw' ? 'select' : 'draw'));
+ui.drawClass.addEventListener('change', () => {
+    setDrawClassId(Number(ui.drawClass.value));
+    ui.drawClass.value = String(drawClassId);
+    updateStatusBar();
+});
 ui.btnZoomFit.addEventListener('click', zoomFit);
 ui.btnZoomIn.addEventListener('click', zoomIn);
 ui.btnZoomOut.addEventListener('click', zoomOut);
 ui.btnHelp.addEventListener('click', showShortcutsModal);
 
 ui.searchImages.addEventListener('input', applySearchFilter);
+ui.btnRestoreRemoved.addEventListener('click', () => doRestoreRemovedImage().catch(console.error));
+ui.splitSelect.addEventListener('change', onSplitSelected);
 
 // Dialog hooks
 ui.closeShortcuts.addEventListener('click', () => closeDialogSafe(ui.shortcutsModal));
@@ -783,6 +3512,29 @@ ui.gotoInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') ui.gotoConfirm.click();
 });
 
+ui.closeClass.addEventListener('click', () => closeDialogSafe(ui.classModal));
+ui.classCancel.addEventListener('click', () => closeDialogSafe(ui.classModal));
+ui.classConfirm.addEventListener('click', () => {
+    const n = Number(ui.classInput.value);
+    if (!Number.isInteger(n) || n < 0) return;
+    closeDialogSafe(ui.classModal);
+    doSetClass(n);
+});
+ui.classModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.classModal);
+});
+ui.classInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') ui.classConfirm.click();
+});
+
+ui.closeIssues.addEventListener('click', () => closeDialogSafe(ui.issuesModal));
+ui.issuesModal.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    closeDialogSafe(ui.issuesModal);
+});
+ui.statusIssues.addEventListener('click', showIssuesModal);
+
 // Sidebar resize
 (() => {
     const stored = Number(localStorage.getItem('sidebarWidth') || '');
@@ -834,6 +3586,17 @@ ui.gotoInput.addEventListener('keydown', (e) => {
 // Canvas interaction
 ui.canvas.addEventListener('pointerdown', (e) => {
     if (!hasImageSelected() || isAnyDialogOpen()) return;
+
+    // Middle-drag or Space+drag pans the view
+    if (e.button === 1 || (e.button === 0 && spaceHeld)) {
+        e.preventDefault();
+        ui.canvas.setPointerCapture(e.pointerId);
+        const pos = canvasClientToCanvasPx(e.clientX, e.clientY);
+        panDrag = { pointerId: e.pointerId, startX: pos.x, startY: pos.y, panX, panY };
+        ui.canvas.style.cursor = 'grabbing';
+        return;
+    }
+
     if (e.button !== 0) return;
 
     ui.canvas.setPointerCapture(e.pointerId);
@@ -849,13 +3612,44 @@ ui.canvas.addEventListener('pointerdown', (e) => {
         return;
     }
 
+    if (!e.ctrlKey && !e.metaKey) {
+        // Clicking a keypoint of a selected pose box toggles its visibility
+        const kpt = getKeypointUnderPoint(pos.x, pos.y);
+        if (kpt && doCycleKeypoint(kpt.box.id, kpt.index)) {
+            updateToolbarState();
+            updateStatusBar();
+            draw();
+            return;
+        }
+
+        const hit = getHandleUnderPoint(pos.x, pos.y);
+        if (hit) {
+            beginTransformDrag(e.pointerId, 'resize', hit.handle, img, [hit.box]);
+            return;
+        }
+    }
+
+    if (activeTool === 'draw') {
+        drawPointerId = e.pointerId;
+        const x = clamp(img.x, 0, currentImageWidth);
+        const y = clamp(img.y, 0, currentImageHeight);
+        drawRect = { x1: x, y1: y, x2: x, y2: y };
+        draw();
+        return;
+    }
+
     const box = getBoxUnderPoint(img.x, img.y);
+    selectedPredictionId = null;
     if (!box) {
         stateManager.clearSelection();
+        selectedPredictionId = getPredictionUnderPoint(img.x, img.y)?.id ?? null;
     } else if (e.ctrlKey || e.metaKey) {
         stateManager.toggleBoxSelection(box.id);
     } else {
-        stateManager.selectBox(box.id);
+        // Clicking an already selected box keeps the group so it can be dragged together
+        if (!box.selected) stateManager.selectBox(box.id);
+        const selected = stateManager.getCurrentBoxes().filter(b => b.selected && !b.deleted);
+        beginTransformDrag(e.pointerId, 'move', null, img, selected);
     }
 
     updateToolbarState();
@@ -867,6 +3661,14 @@ ui.canvas.addEventListener('pointermove', (e) => {
     if (!hasImageSelected()) return;
 
     const pos = canvasClientToCanvasPx(e.clientX, e.clientY);
+
+    if (panDrag && e.pointerId === panDrag.pointerId) {
+        panX = panDrag.panX + pos.x - panDrag.startX;
+        panY = panDrag.panY + pos.y - panDrag.startY;
+        draw();
+        return;
+    }
+
     const img = canvasPxToImagePx(pos.x, pos.y);
     if (Number.isFinite(img.x) && Number.isFinite(img.y)) {
         const x = Math.round(clamp(img.x, 0, currentImageWidth));
@@ -881,9 +3683,28 @@ ui.canvas.addEventListener('pointermove', (e) => {
         selectionRect.y2 = pos.y;
         draw();
     }
+
+    if (drawRect && e.pointerId === drawPointerId) {
+        drawRect.x2 = clamp(img.x, 0, currentImageWidth);
+        drawRect.y2 = clamp(img.y, 0, currentImageHeight);
+        draw();
+    }
+
+    if (transformDrag && e.pointerId === transformDrag.pointerId) {
+        updateTransformDrag(img);
+        draw();
+    } else if (!selectionRect && !drawRect) {
+        ui.canvas.style.cursor = getCanvasCursor(pos.x, pos.y);
+    }
 });
 
 ui.canvas.addEventListener('pointerup', (e) => {
+    if (panDrag && e.pointerId === panDrag.pointerId) {
+        panDrag = null;
+        ui.canvas.style.cursor = spaceHeld ? 'grab' : '';
+        return;
+    }
+
     if (selectionRect && e.pointerId === selectionPointerId) {
         finalizeSelectionRect(true);
         selectionRect = null;
@@ -893,23 +3714,84 @@ ui.canvas.addEventListener('pointerup', (e) => {
         updateStatusBar();
         draw();
     }
+
+    if (drawRect && e.pointerId === drawPointerId) {
+        finalizeDrawRect();
+        drawRect = null;
+        drawPointerId = null;
+        updateToolbarState();
+        updateStatusBar();
+        draw();
+    }
+
+    if (transformDrag && e.pointerId === transformDrag.pointerId) {
+        finalizeTransformDrag();
+        updateToolbarState();
+        updateStatusBar();
+        draw();
+    }
 });
 
 ui.canvas.addEventListener('pointercancel', () => {
+    panDrag = null;
     selectionRect = null;
     selectionPointerId = null;
+    drawRect = null;
+    drawPointerId = null;
+    cancelTransformDrag();
     ui.canvasContainer.classList.remove('selecting');
     draw();
 });
 
+// Keep middle-click from starting the browser's autoscroll
+ui.canvas.addEventListener('mousedown', (e) => {
+    if (e.button === 1) e.preventDefault();
+});
+
+ui.canvas.addEventListener('wheel', (e) => {
+    if (!hasImageSelected() || isAnyDialogOpen()) return;
+    e.preventDefault();
+
+    // Line and page deltas (Firefox) are scaled to roughly pixel units
+    const unit = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? 400 : 1);
+    const factor = Math.exp(-e.deltaY * unit * 0.0015);
+    const pos = canvasClientToCanvasPx(e.clientX, e.clientY);
+    zoomAt(factor, pos.x, pos.y);
+    updateStatusBar();
+    draw();
+}, { passive: false });
+
 // Keyboard shortcuts
+window.addEventListener('keyup', (e) => {
+    if (e.key !== ' ' || !spaceHeld) return;
+    // Buttons click on Space release
+    e.preventDefault();
+    spaceHeld = false;
+    if (!panDrag) ui.canvas.style.cursor = '';
+});
+
+window.addEventListener('blur', () => {
+    spaceHeld = false;
+});
+
 window.addEventListener('keydown', (e) => {
     if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
 
+    if (e.key === ' ' && !isAnyDialogOpen() && hasImageSelected()) {
+        // Held for Space+drag panning; also keeps Space from clicking the focused button
+        e.preventDefault();
+        if (!spaceHeld) {
+            spaceHeld = true;
+            if (!panDrag) ui.canvas.style.cursor = 'grab';
+        }
+        return;
+    }
+
     if (isAnyDialogOpen()) {
         if (e.key === 'Escape') {
-            closeDialogSafe(ui.shortcutsModal);
-            closeDialogSafe(ui.gotoModal);
+            for (const dialog of getAllDialogs()) {
+                closeDialogSafe(dialog);
+            }
         }
         return;
     }
@@ -947,7 +3829,7 @@ window.addEventListener('keydown', (e) => {
     if ((e.ctrlKey || e.metaKey) && !e.shiftKey && (e.key === 'a' || e.key === 'A')) {
         e.preventDefault();
         if (!hasImageSelected()) return;
-        stateManager.selectAll();
+        stateManager.selectAll(b => isClassVisible(b.classId));
         updateToolbarState();
         updateStatusBar();
         draw();
@@ -956,6 +3838,12 @@ window.addEventListener('keydown', (e) => {
 
     if (!hasDatasetLoaded()) return;
 
+    if (e.shiftKey && !e.ctrlKey && !e.metaKey && e.key === 'R') {
+        e.preventDefault();
+        reloadFromDisk().catch(console.error);
+        return;
+    }
+
     if (e.key === 'ArrowLeft' || e.key === 'k' || e.key === 'K') {
         e.preventDefault();
         navigate(-1);
@@ -977,6 +3865,12 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    if (e.shiftKey && (e.key === 'Delete' || e.key === 'D')) {
+        e.preventDefault();
+        showRemoveImageModal();
+        return;
+    }
+
     if (e.key === 'Delete' || e.key === 'd' || e.key === 'D') {
         e.preventDefault();
         doDeleteSelected(false);
@@ -991,13 +3885,109 @@ window.addEventListener('keydown', (e) => {
 
     if (e.key === 'Escape') {
         e.preventDefault();
+        if (transformDrag) {
+            cancelTransformDrag();
+            draw();
+            return;
+        }
+        if (drawRect) {
+            drawRect = null;
+            drawPointerId = null;
+            draw();
+            return;
+        }
         stateManager.clearSelection();
+        selectedPredictionId = null;
         updateToolbarState();
         updateStatusBar();
         draw();
         return;
     }
 
+    if (!e.ctrlKey && !e.metaKey && !e.altKey && e.key >= '0' && e.key <= '9' && e.key.length === 1) {
+        e.preventDefault();
+        doSetClass(Number(e.key));
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'c' || e.key === 'C')) {
+        e.preventDefault();
+        showClassModal();
+        return;
+    }
+
+    if (e.key === 'i' || e.key === 'I') {
+        e.preventDefault();
+        showIssuesModal();
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'a' || e.key === 'A')) {
+        e.preventDefault();
+        doAcceptPrediction();
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'p' || e.key === 'P')) {
+        e.preventDefault();
+        if (!datasetLoader.hasPredictions()) return;
+        setShowPredictions(!showPredictions);
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'v' || e.key === 'V')) {
+        e.preventDefault();
+        setCompareMode(!compareMode).catch(console.error);
+        return;
+    }
+
+    if (e.key === '[' || e.key === ']') {
+        e.preventDefault();
+        jumpToErrorImage(e.key === ']' ? 1 : -1).catch(console.error);
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'h' || e.key === 'H')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+            showAllClasses();
+        } else {
+            hideSelectedClasses();
+        }
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'n' || e.key === 'N')) {
+        e.preventDefault();
+        setDedupeMode(!dedupeMode);
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'l' || e.key === 'L')) {
+        e.preventDefault();
+        showLintModal();
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'm' || e.key === 'M')) {
+        e.preventDefault();
+        showSplitsModal();
+        return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && (e.key === 'e' || e.key === 'E')) {
+        e.preventDefault();
+        showEvaluationReport().catch(console.error);
+        return;
+    }
+
+    if (e.key === 'b' || e.key === 'B') {
+        e.preventDefault();
+        if (!hasImageSelected()) return;
+        setActiveTool(activeTool === 'draw' ? 'select' : 'draw');
+        return;
+    }
+
     if (e.key === 'f' || e.key === 'F') {
         e.preventDefault();
         zoomFit();